@@ -0,0 +1,275 @@
+/**
+ * AttractMode - what the installation shows while nobody is in front of it
+ * After idleDelay seconds without a visitor every surface (the TV renderer
+ * and both walls) is switched to a replay: short clips of earlier visitors,
+ * recorded from the live camera while they stood there, or
+ * SyntheticVisitorSource figures until there are any. The TV shows a
+ * "step closer" prompt meanwhile. The live camera is still watched at low
+ * resolution, and the first visitor hands every surface back to it.
+ *
+ * An iframe TV is not a surface: the host page forwards attractstart /
+ * attractend to it over the silhouette protocol.
+ *
+ * Surfaces are marked as replaying meanwhile, which keeps their
+ * 'background' threshold mode (the learned empty room) out of the replay.
+ *
+ * Clips live in memory only (a few seconds each, small frames, maxClips at
+ * most) and are gone when the page closes.
+ *
+ * Dispatches attractstart / attractend, and the watcher's presence events
+ * (see silhouette-presence.js) while active.
+ */
+import { InputSource } from './input-sources.js';
+import { SyntheticVisitorSource } from './synthetic-visitors.js';
+import { SilhouetteAnalyzer } from './silhouette-analysis.js';
+import { PresenceMonitor } from './silhouette-presence.js';
+
+/**
+ * Loops recorded clips one after another (an InputSource, see input-sources.js)
+ */
+export class ClipReplaySource extends InputSource {
+  /**
+   * @param {Array<HTMLCanvasElement[]>} clips - frames per clip (read live, so new clips join the loop)
+   * @param {number} fps - playback rate
+   */
+  constructor(clips, fps) {
+    super();
+    this.clips = clips;
+    this.fps = fps;
+    this.startTime = 0;
+  }
+  
+  // Every surface starts the source; they do so within the same frame
+  async start() {
+    this.startTime = performance.now();
+    this.isStarted = true;
+    return true;
+  }
+  
+  isReady() {
+    return this.isStarted && this.clips.length > 0;
+  }
+  
+  getFrameIndex() {
+    return Math.floor((performance.now() - this.startTime) / 1000 * this.fps);
+  }
+  
+  getDrawable() {
+    const total = this.clips.reduce((sum, clip) => sum + clip.length, 0);
+    let index = this.getFrameIndex() % total;
+    for (const clip of this.clips) {
+      if (index < clip.length) return clip[index];
+      index -= clip.length;
+    }
+    return this.clips[0][0];
+  }
+  
+  getSize() {
+    const frame = this.clips.length > 0 ? this.clips[0][0] : null;
+    return frame ? { width: frame.width, height: frame.height } : { width: 0, height: 0 };
+  }
+  
+  getFrameTime() {
+    return this.getFrameIndex();
+  }
+}
+
+export class AttractMode extends EventTarget {
+  static DEFAULTS = {
+    idleDelay: 45,          // Seconds without a visitor before the replay starts
+    replay: 'auto',         // 'recorded', 'synthetic' or 'auto' (recorded clips once there are any)
+    record: true,           // Record clips of live visitors for the replay
+    clipSeconds: 6,
+    maxClips: 4,
+    fps: 8,                 // Recording and playback rate
+    clipWidth: 192,
+    clipHeight: 144,
+    prompt: 'STEP CLOSER',
+    watchWidth: 80,         // Live camera check while active
+    watchHeight: 60
+  };
+  
+  /**
+   * @param {Object} live - surface whose presence decides (WebcamTextRenderer or WebcamProjection)
+   * @param {Array} surfaces - every surface to switch (each has source, setSource and presence)
+   * @param {Object} options - see AttractMode.DEFAULTS
+   */
+  constructor(live, surfaces, options = {}) {
+    super();
+    this.live = live;
+    this.surfaces = surfaces;
+    this.options = { ...AttractMode.DEFAULTS, ...options };
+    
+    this.active = false;
+    this.idleSince = performance.now();
+    this.savedSources = [];
+    this.activeSource = null;
+    
+    // Recording
+    this.clips = [];
+    this.currentClip = [];
+    this.lastRecordTime = 0;
+    this.replaySource = new ClipReplaySource(this.clips, this.options.fps);
+    this.syntheticSource = null;
+    
+    // Low-resolution watch on the live camera while the surfaces replay
+    this.watchCanvas = document.createElement('canvas');
+    this.watchCanvas.width = this.options.watchWidth;
+    this.watchCanvas.height = this.options.watchHeight;
+    this.watchCtx = this.watchCanvas.getContext('2d', { willReadFrequently: true });
+    this.watchAnalyzer = new SilhouetteAnalyzer();
+    this.watcher = new PresenceMonitor(this, { ...live.presence.options, enterDelay: 200 });
+    this.addEventListener('visitorenter', () => this.stop());
+  }
+  
+  /**
+   * Whether the live surface is on the camera (no replay or fallback video)
+   */
+  isLive() {
+    return this.live.camera && this.live.camera.isReady() && (!this.live.source || this.active);
+  }
+  
+  /**
+   * Call once per frame
+   */
+  update(now = performance.now()) {
+    // Camera off or lost: nothing to watch, and the idle time starts over
+    if (!this.isLive()) {
+      this.stop();
+      this.idleSince = now;
+      return;
+    }
+    
+    if (this.active) {
+      this.watchCamera(now);
+      return;
+    }
+    
+    if (this.live.presence.present) {
+      this.idleSince = now;
+      if (this.options.record) this.recordFrame(now);
+    } else {
+      this.finishClip();
+      if (now - this.idleSince >= this.options.idleDelay * 1000) this.start();
+    }
+  }
+  
+  /**
+   * Add the live camera frame to the current clip (at the clip frame rate)
+   */
+  recordFrame(now) {
+    if (now - this.lastRecordTime < 1000 / this.options.fps) return;
+    this.lastRecordTime = now;
+    
+    const frame = document.createElement('canvas');
+    frame.width = this.options.clipWidth;
+    frame.height = this.options.clipHeight;
+    frame.getContext('2d').drawImage(this.live.video, 0, 0, frame.width, frame.height);
+    this.currentClip.push(frame);
+    
+    if (this.currentClip.length >= this.options.clipSeconds * this.options.fps) {
+      this.finishClip();
+    }
+  }
+  
+  /**
+   * Keep the clip being recorded if it is long enough to watch (2 seconds)
+   */
+  finishClip() {
+    if (this.currentClip.length >= this.options.fps * 2) {
+      this.clips.push(this.currentClip);
+      if (this.clips.length > this.options.maxClips) this.clips.shift();
+      console.log(`🎞️ Attract clip recorded (${this.clips.length}/${this.options.maxClips})`);
+    }
+    this.currentClip = [];
+  }
+  
+  /**
+   * Recorded clips, or synthetic visitors when there are none (or replay is 'synthetic')
+   */
+  getReplaySource() {
+    const recorded = this.options.replay !== 'synthetic' && this.clips.length > 0;
+    if (recorded || this.options.replay === 'recorded') return this.replaySource;
+    
+    if (!this.syntheticSource) {
+      this.syntheticSource = new SyntheticVisitorSource({ people: 2, cycle: 20 });
+    }
+    return this.syntheticSource;
+  }
+  
+  /**
+   * Switch every surface to the replay
+   */
+  start() {
+    if (this.active) return;
+    
+    const source = this.getReplaySource();
+    if (source === this.replaySource && this.clips.length === 0) return;
+    
+    this.active = true;
+    this.activeSource = source;
+    this.savedSources = this.surfaces.map(surface => surface.source);
+    
+    for (const surface of this.surfaces) {
+      // Replayed visitors are not visitors: no presence events until the hand-back
+      surface.presence.reset();
+      surface.presence.paused = true;
+      surface.setReplaying(true);
+      surface.setSource(source);
+      if (surface.setPrompt) surface.setPrompt(this.options.prompt);
+    }
+    
+    // The room is empty now: the watch learns it afresh (background mode)
+    this.watchAnalyzer.resetBackground();
+    this.watcher.reset();
+    console.log(`✨ Attract mode on (${source === this.replaySource ? `${this.clips.length} recorded clip(s)` : 'synthetic visitors'})`);
+    this.dispatchEvent(new CustomEvent('attractstart', { detail: { recorded: source === this.replaySource } }));
+  }
+  
+  /**
+   * Hand every surface back to the input it had before
+   * (surfaces something else has switched meanwhile, e.g. to the fallback video, keep theirs)
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    
+    this.surfaces.forEach((surface, i) => {
+      if (surface.source === this.activeSource) {
+        surface.setSource(this.savedSources[i] || null);
+      }
+      surface.presence.reset();
+      surface.presence.paused = false;
+      surface.setReplaying(false);
+      if (surface.setPrompt) surface.setPrompt(null);
+    });
+    
+    this.savedSources = [];
+    this.activeSource = null;
+    this.idleSince = performance.now();
+    console.log('✨ Attract mode off');
+    this.dispatchEvent(new CustomEvent('attractend'));
+  }
+  
+  /**
+   * Threshold the live camera at low resolution, with the live surface's settings
+   */
+  watchCamera(now) {
+    const video = this.live.video;
+    if (!video || video.readyState < 2) return;
+    
+    const { width, height } = this.watchCanvas;
+    this.watchCtx.drawImage(video, 0, 0, width, height);
+    const analysis = this.watchAnalyzer.analyze(this.watchCtx.getImageData(0, 0, width, height), {
+      ...this.live.getAnalysisOptions(),
+      thresholdMode: this.live.settings.thresholdMode,  // The camera, not the replay
+      edges: false,
+      contours: false,
+      samples: false,
+      people: false,
+      motion: false
+    });
+    
+    this.watcher.update({ coverage: analysis.coverage, motion: 0 }, now);
+  }
+}
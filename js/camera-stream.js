@@ -0,0 +1,404 @@
+/**
+ * CameraStreamManager - One shared webcam stream for every consumer
+ * WebcamTextRenderer and both WebcamProjection walls draw from the same
+ * <video>, so the camera is opened once. Device switching, hot-plug
+ * (devicechange) and track-ended recovery live here instead of in each surface.
+ *
+ * Events:
+ *   'streamchange' - a new stream is playing        (detail: { deviceId })
+ *   'devicechange' - the list of cameras changed    (detail: { cameras })
+ *   'streamlost'   - the stream ended and recovery gave up
+ */
+export class CameraStreamManager extends EventTarget {
+  constructor() {
+    super();
+    
+    // Shared video element - every consumer passes it to drawImage()
+    this.video = document.createElement('video');
+    this.video.autoplay = true;
+    this.video.playsInline = true;
+    this.video.muted = true; // Required for iOS Safari autoplay
+    this.video.setAttribute('playsinline', ''); // iOS Safari
+    this.video.setAttribute('webkit-playsinline', ''); // Older iOS Safari
+    this.video.setAttribute('muted', '');
+    
+    // Stream state
+    this.stream = null;
+    this.cameras = [];
+    this.currentCameraId = null;
+    this.consumers = new Set();
+    this.opening = null;
+    
+    // Recovery
+    this.recoveryAttempts = 0;
+    this.maxRecoveryAttempts = 3;
+    this.isRecovering = false;
+    
+    // Safari keep-alive
+    this.isSafari = navigator.userAgent.includes('Safari') && !navigator.userAgent.includes('Chrome') && !navigator.userAgent.includes('Chromium');
+    this.isIOSSafari = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+      (this.isSafari && 'ontouchend' in document);
+    this.keepAliveInterval = null;
+    this.keepAliveListenersAdded = false;
+    this.lastVideoTime = 0;
+    
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+    }
+  }
+  
+  /**
+   * Register a consumer and make sure the camera is open
+   * Safe to call again (e.g. init retries). The registration is kept even if
+   * opening fails, so a camera plugged in later starts automatically
+   * (listen for 'streamchange')
+   */
+  async acquire(consumer) {
+    this.consumers.add(consumer);
+    
+    if (this.isLive()) {
+      return true;
+    }
+    
+    return this.open(this.currentCameraId);
+  }
+  
+  /**
+   * Unregister a consumer - the camera is closed when nobody is left
+   */
+  release(consumer) {
+    this.consumers.delete(consumer);
+    
+    if (this.consumers.size === 0) {
+      this.stop();
+    }
+  }
+  
+  /**
+   * Open (or reopen) the camera. Concurrent calls share one request.
+   */
+  async open(deviceId = null) {
+    if (!this.opening) {
+      this.opening = this.startStream(deviceId).finally(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+  
+  /**
+   * Switch every consumer to a different camera
+   */
+  async switchCamera(deviceId) {
+    if (this.opening) {
+      await this.opening;
+    }
+    return this.open(deviceId);
+  }
+  
+  /**
+   * Video constraints shared by all consumers
+   */
+  getVideoConstraints(deviceId) {
+    const videoConstraints = deviceId
+      ? { deviceId: { exact: deviceId } }
+      : { facingMode: 'user' }; // Prefer front camera on mobile
+    
+    // Use lower resolution on mobile Safari for better performance
+    if (this.isIOSSafari) {
+      videoConstraints.width = { ideal: 480 };
+      videoConstraints.height = { ideal: 360 };
+    }
+    
+    // Steady frame rate helps Safari frame sync and keeps the walls cheap
+    videoConstraints.frameRate = { ideal: 30, max: 30 };
+    
+    return videoConstraints;
+  }
+  
+  async startStream(deviceId) {
+    try {
+      this.stopTracks();
+      
+      const constraints = {
+        video: this.getVideoConstraints(deviceId),
+        audio: false
+      };
+      
+      console.log('📷 Requesting camera with constraints:', JSON.stringify(constraints));
+      
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      const track = stream.getVideoTracks()[0];
+      
+      this.stream = stream;
+      this.video.srcObject = stream;
+      this.currentCameraId = deviceId || (track && track.getSettings ? track.getSettings().deviceId : null) || null;
+      
+      if (track) {
+        track.addEventListener('ended', this.handleTrackEnded);
+      }
+      
+      // Wait for video to be ready
+      await new Promise(resolve => {
+        this.video.onloadedmetadata = () => {
+          this.video.play().catch(() => {});
+          resolve();
+        };
+      });
+      
+      // Setup Safari keep-alive workaround (for both desktop and mobile Safari)
+      if (this.isSafari) {
+        this.setupSafariKeepAlive();
+      }
+      
+      // Device labels are only exposed after permission is granted
+      await this.enumerateCameras();
+      
+      this.recoveryAttempts = 0;
+      console.log('✅ Camera stream open:', this.currentCameraId || 'default');
+      this.dispatchEvent(new CustomEvent('streamchange', { detail: { deviceId: this.currentCameraId } }));
+      
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to open camera:', error.name, error.message);
+      this.stream = null;
+      return false;
+    }
+  }
+  
+  /**
+   * Stop tracks and keep-alive without touching the consumer count
+   */
+  stopTracks() {
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+    }
+    
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => {
+        track.removeEventListener('ended', this.handleTrackEnded);
+        track.stop();
+      });
+      this.stream = null;
+    }
+  }
+  
+  /**
+   * Close the camera
+   */
+  stop() {
+    this.stopTracks();
+    this.video.srcObject = null;
+    console.log('📷 Camera stream closed');
+  }
+  
+  /**
+   * Enumerate available cameras
+   */
+  async enumerateCameras() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      this.cameras = devices.filter(device => device.kind === 'videoinput');
+      console.log(`📹 Found ${this.cameras.length} cameras`);
+      return this.cameras;
+    } catch (error) {
+      console.error('Failed to enumerate cameras:', error);
+      return [];
+    }
+  }
+  
+  hasCamera(deviceId) {
+    return this.cameras.some(camera => camera.deviceId === deviceId);
+  }
+  
+  /**
+   * Whether the current stream still has a live video track
+   */
+  isLive() {
+    if (!this.stream) return false;
+    return this.stream.getVideoTracks().some(track => track.readyState === 'live');
+  }
+  
+  /**
+   * Whether frames can be drawn from the shared video
+   */
+  isReady() {
+    return this.isLive() && this.video.videoWidth > 0;
+  }
+  
+  getAspectRatio() {
+    if (this.video.videoWidth && this.video.videoHeight) {
+      return this.video.videoWidth / this.video.videoHeight;
+    }
+    return 4 / 3;
+  }
+  
+  /**
+   * Camera unplugged, revoked or crashed - reopen it (same device if it is
+   * still there, otherwise the first available one)
+   */
+  async handleTrackEnded() {
+    if (this.isRecovering || this.consumers.size === 0) return;
+    this.isRecovering = true;
+    
+    console.warn('⚠️ Camera track ended, attempting recovery...');
+    this.stopTracks();
+    
+    while (this.recoveryAttempts < this.maxRecoveryAttempts && this.consumers.size > 0) {
+      this.recoveryAttempts++;
+      await this.enumerateCameras();
+      
+      const deviceId = this.hasCamera(this.currentCameraId)
+        ? this.currentCameraId
+        : (this.cameras.length > 0 ? this.cameras[0].deviceId : null);
+      
+      if (await this.open(deviceId)) {
+        this.isRecovering = false;
+        return;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 1000 * this.recoveryAttempts));
+    }
+    
+    this.isRecovering = false;
+    console.error('❌ Camera recovery failed');
+    this.dispatchEvent(new CustomEvent('streamlost'));
+  }
+  
+  /**
+   * Camera plugged in or removed
+   */
+  async handleDeviceChange() {
+    await this.enumerateCameras();
+    this.dispatchEvent(new CustomEvent('devicechange', { detail: { cameras: this.cameras } }));
+    
+    if (this.consumers.size === 0 || this.isRecovering) return;
+    
+    if (!this.isLive()) {
+      // A camera appeared while we had none - start it
+      if (this.cameras.length > 0) {
+        console.log('🔌 Camera connected, opening stream...');
+        this.recoveryAttempts = 0;
+        await this.open(null);
+      }
+    } else if (this.currentCameraId && !this.hasCamera(this.currentCameraId) && this.cameras.length > 0) {
+      // Current camera disappeared without ending its track
+      console.log('🔌 Active camera removed, switching...');
+      await this.switchCamera(this.cameras[0].deviceId);
+    }
+  }
+  
+  /**
+   * Setup Safari video keep-alive mechanism
+   */
+  setupSafariKeepAlive() {
+    console.log('🍎 Setting up Safari video keep-alive...');
+    
+    let stalledFrameCount = 0;
+    
+    this.keepAliveInterval = setInterval(() => {
+      // Always try to play if paused
+      if (this.video.paused) {
+        console.log('🔄 Video paused, resuming...');
+        this.video.play().catch(() => {});
+      }
+      
+      // Check for stalled video (same currentTime for multiple checks)
+      if (this.video.currentTime === this.lastVideoTime && this.stream) {
+        stalledFrameCount++;
+        
+        // If stalled for 3+ checks (300ms), try to recover
+        if (stalledFrameCount >= 3) {
+          console.log('⚠️ Video stalled, attempting recovery...');
+          const tracks = this.stream.getVideoTracks();
+          if (tracks.length > 0 && tracks[0].enabled) {
+            // Toggle track to force refresh on Safari
+            tracks[0].enabled = false;
+            setTimeout(() => {
+              if (tracks[0]) tracks[0].enabled = true;
+            }, 50);
+          }
+          
+          // Also try reloading the video source
+          if (stalledFrameCount >= 10) {
+            console.log('🔁 Deep recovery - resetting video source...');
+            const stream = this.video.srcObject;
+            this.video.srcObject = null;
+            setTimeout(() => {
+              this.video.srcObject = stream;
+              this.video.play().catch(() => {});
+            }, 100);
+            stalledFrameCount = 0;
+          }
+        }
+      } else {
+        stalledFrameCount = 0;
+      }
+      
+      this.lastVideoTime = this.video.currentTime;
+    }, 100); // Check every 100ms for faster recovery
+    
+    // Document/video listeners only need adding once per video element
+    if (this.keepAliveListenersAdded) return;
+    this.keepAliveListenersAdded = true;
+    
+    // Handle visibility changes
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        console.log('👁️ Page visible, resuming video...');
+        setTimeout(() => {
+          if (this.video.paused) {
+            this.video.play().catch(() => {});
+          }
+        }, 100);
+      }
+    });
+    
+    // Handle touch events to keep video alive (iOS Safari quirk)
+    document.addEventListener('touchstart', () => {
+      if (this.video.paused) {
+        this.video.play().catch(() => {});
+      }
+    }, { passive: true });
+    
+    // Handle video stall events
+    this.video.addEventListener('stalled', () => {
+      console.log('📹 Video stalled event');
+      this.video.play().catch(() => {});
+    });
+    
+    this.video.addEventListener('suspend', () => {
+      console.log('📹 Video suspend event');
+      setTimeout(() => {
+        if (this.video.paused) {
+          this.video.play().catch(() => {});
+        }
+      }, 100);
+    });
+    
+    this.video.addEventListener('waiting', () => {
+      console.log('📹 Video waiting for data...');
+    });
+    
+    // Log when video actually plays
+    this.video.addEventListener('playing', () => {
+      console.log('✅ Video playing');
+    });
+  }
+}
+
+let sharedCameraStream = null;
+
+/**
+ * The page-wide camera stream (created on first use)
+ */
+export function getCameraStream() {
+  if (!sharedCameraStream) {
+    sharedCameraStream = new CameraStreamManager();
+  }
+  return sharedCameraStream;
+}
@@ -0,0 +1,412 @@
+/**
+ * GlyphAtlasRenderer - WebGL2 backend for the WebcamTextRenderer text grid
+ * Each configured word is drawn once into a word atlas (already truncated to
+ * the cell width, in its own color and font). The layout (see
+ * silhouette-layouts.js) is then one instanced draw call: a quad per cell with
+ * its own position, rotation and scale, hidden in the vertex shader where the
+ * silhouette mask is empty (or full, for the negative space background
+ * words). Animation modes are evaluated on the GPU with the same
+ * formulas as WebcamTextRenderer.applyAnimation, so output matches the 2D path.
+ * Sampled word colors (colorMode) arrive as a texture with one texel per cell
+ * and recolor the atlas glyphs in the fragment shader; its alpha can swap the
+ * cell's word per frame (brightness bands, sequential layout).
+ */
+
+const VERTEX_SHADER = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec2 a_corner;   // Unit quad corner (0-1)
+layout(location = 1) in vec2 a_cell;     // Cell top-left in canvas pixels
+layout(location = 2) in float a_slot;    // Word index in the atlas
+layout(location = 3) in float a_index;   // Layout cell index
+layout(location = 4) in float a_rotation; // Layout rotation (radians)
+layout(location = 5) in float a_scale;   // Layout scale (halftone)
+
+uniform vec2 u_resolution;
+uniform vec2 u_cellSize;
+uniform vec2 u_slotSize;
+uniform vec2 u_atlasGrid;
+uniform sampler2D u_mask;
+uniform sampler2D u_colors;              // Per layout cell: rgb color, a = word + 1 (0 = a_slot)
+uniform bool u_useColors;
+uniform bool u_outside;                  // Background layer: draw where the mask is empty
+uniform float u_time;
+uniform float u_speed;
+uniform int u_animation;                 // 0 none, 1 wave, 2 pulse, 3 rotate, 4 bounce, 5 flicker
+
+out vec2 v_uv;
+out float v_opacity;
+out vec3 v_color;
+
+void main() {
+  // Threshold mask sampled at the cell center (same point as the 2D path)
+  ivec2 maskSize = textureSize(u_mask, 0);
+  ivec2 center = clamp(ivec2(floor(a_cell + u_cellSize * 0.5)), ivec2(0), maskSize - 1);
+  if ((texelFetch(u_mask, center, 0).r == 0.0) != u_outside) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+  
+  // Sampled color, and the word picked this frame (brightness bands)
+  float slotIndex = a_slot;
+  v_color = vec3(1.0);
+  if (u_useColors) {
+    int columns = textureSize(u_colors, 0).x;
+    int index = int(a_index);
+    vec4 cell = texelFetch(u_colors, ivec2(index % columns, index / columns), 0);
+    v_color = cell.rgb;
+    if (cell.a > 0.0) {
+      slotIndex = floor(cell.a * 255.0 + 0.5) - 1.0;
+    }
+  }
+  
+  vec2 pos = a_cell;
+  float rotation = a_rotation;
+  float scale = a_scale;
+  float opacity = 1.0;
+  float t = u_time * u_speed;
+  
+  if (u_animation == 1) {
+    pos.y += sin(t * 2.0 + a_cell.x / 100.0) * 10.0;
+  } else if (u_animation == 2) {
+    scale *= 0.9 + 0.2 * sin(t * 3.0);
+  } else if (u_animation == 3) {
+    rotation += sin(t + a_cell.x / 200.0) * 0.1;
+  } else if (u_animation == 4) {
+    pos.y += abs(sin(t * 2.0 + a_cell.x / 150.0)) * -15.0;
+  } else if (u_animation == 5) {
+    opacity = (128.0 + 127.0 * sin(t * 5.0 + a_cell.x / 50.0)) / 255.0;
+  }
+  
+  // Transform around the cell center
+  vec2 local = a_corner * u_slotSize - u_cellSize * 0.5;
+  float c = cos(rotation);
+  float s = sin(rotation);
+  local = mat2(c, s, -s, c) * (local * scale);
+  vec2 pixel = pos + u_cellSize * 0.5 + local;
+  
+  vec2 clip = pixel / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  
+  vec2 slot = vec2(mod(slotIndex, u_atlasGrid.x), floor(slotIndex / u_atlasGrid.x));
+  v_uv = (slot + a_corner) / u_atlasGrid;
+  v_opacity = opacity;
+}
+`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in vec2 v_uv;
+in float v_opacity;
+in vec3 v_color;
+uniform sampler2D u_atlas;
+uniform bool u_useColors;
+out vec4 outColor;
+
+void main() {
+  vec4 glyph = texture(u_atlas, v_uv);
+  // Atlas is premultiplied, so the sampled color is scaled by coverage
+  if (u_useColors) {
+    glyph = vec4(v_color * glyph.a, glyph.a);
+  }
+  outColor = glyph * v_opacity;
+}
+`;
+
+const ANIMATION_IDS = {
+  wave: 1,
+  pulse: 2,
+  rotate: 3,
+  bounce: 4,
+  flicker: 5
+};
+
+/**
+ * A canvas on the page, or an OffscreenCanvas inside a worker
+ */
+export function createCanvas(width, height) {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+}
+
+export class GlyphAtlasRenderer {
+  /**
+   * Whether WebGL2 is available (in this thread)
+   */
+  static isSupported() {
+    try {
+      return !!createCanvas(1, 1).getContext('webgl2');
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  constructor(width, height) {
+    this.canvas = createCanvas(width, height);
+    this.gl = this.canvas.getContext('webgl2', { premultipliedAlpha: true, antialias: false });
+    
+    if (!this.gl) {
+      throw new Error('WebGL2 not available');
+    }
+    
+    // Word atlas
+    this.atlasCanvas = createCanvas(1, 1);
+    this.atlasCtx = this.atlasCanvas.getContext('2d');
+    this.atlasKey = '';
+    this.atlasGrid = [1, 1];
+    this.slotSize = [1, 1];
+    
+    // Instance data (rebuilt when the layout cells change)
+    this.instanceCells = null;
+    this.instanceWordCount = 0;
+    this.instanceCount = 0;
+    
+    this.initGL();
+    
+    console.log('🔤 GlyphAtlasRenderer created', width, 'x', height);
+  }
+  
+  initGL() {
+    const gl = this.gl;
+    
+    this.program = this.createProgram(VERTEX_SHADER, FRAGMENT_SHADER);
+    this.uniforms = {};
+    ['u_resolution', 'u_cellSize', 'u_slotSize', 'u_atlasGrid', 'u_mask', 'u_atlas', 'u_colors', 'u_useColors', 'u_outside', 'u_time', 'u_speed', 'u_animation'].forEach(name => {
+      this.uniforms[name] = gl.getUniformLocation(this.program, name);
+    });
+    
+    this.vao = gl.createVertexArray();
+    gl.bindVertexArray(this.vao);
+    
+    // Unit quad (two triangles)
+    const cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    
+    // Per-cell position + atlas slot + cell index + rotation + scale
+    this.instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 24, 0);
+    gl.vertexAttribDivisor(1, 1);
+    [2, 3, 4, 5].forEach((location, i) => {
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, 1, gl.FLOAT, false, 24, 8 + i * 4);
+      gl.vertexAttribDivisor(location, 1);
+    });
+    
+    gl.bindVertexArray(null);
+    
+    this.atlasTexture = this.createTexture(gl.LINEAR);
+    this.maskTexture = this.createTexture(gl.NEAREST);
+    this.colorTexture = this.createTexture(gl.NEAREST);
+  }
+  
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error('Shader compile failed: ' + gl.getShaderInfoLog(shader));
+      }
+      return shader;
+    };
+    
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error('Program link failed: ' + gl.getProgramInfoLog(program));
+    }
+    return program;
+  }
+  
+  createTexture(filter) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+  
+  /**
+   * Draw every word into its atlas slot (only when words or cell size change)
+   * Truncation matches the 2D path: drop characters until the word fits
+   */
+  buildAtlas(words, cellWidth, cellHeight, cellPadding) {
+    const key = JSON.stringify(words) + `|${cellWidth}|${cellHeight}|${cellPadding}`;
+    if (key === this.atlasKey) return;
+    this.atlasKey = key;
+    
+    // Slots are as tall as the biggest word so nothing is clipped vertically
+    const maxSize = words.reduce((max, word) => Math.max(max, word.size), 0);
+    const slotWidth = Math.max(1, Math.ceil(cellWidth));
+    const slotHeight = Math.max(1, Math.ceil(Math.max(cellHeight, cellPadding + maxSize * 1.3)));
+    const columns = Math.max(1, Math.ceil(Math.sqrt(words.length)));
+    const rows = Math.max(1, Math.ceil(words.length / columns));
+    
+    this.atlasCanvas.width = slotWidth * columns;
+    this.atlasCanvas.height = slotHeight * rows;
+    this.atlasGrid = [columns, rows];
+    this.slotSize = [slotWidth, slotHeight];
+    
+    const ctx = this.atlasCtx;
+    const maxTextWidth = cellWidth - cellPadding * 2;
+    ctx.clearRect(0, 0, this.atlasCanvas.width, this.atlasCanvas.height);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    
+    words.forEach((word, index) => {
+      ctx.font = `${word.size}px ${word.font}`;
+      ctx.fillStyle = word.color;
+      
+      let cellText = word.text;
+      while (ctx.measureText(cellText).width > maxTextWidth && cellText.length > 1) {
+        cellText = cellText.substring(0, cellText.length - 1);
+      }
+      
+      const x = (index % columns) * slotWidth;
+      const y = Math.floor(index / columns) * slotHeight;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, slotWidth, slotHeight);
+      ctx.clip();
+      ctx.fillText(cellText, x + cellPadding, y + cellPadding);
+      ctx.restore();
+    });
+    
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.atlasCanvas);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+  }
+  
+  /**
+   * One instance per drawable cell (only when the cells change - static
+   * layouts pass the same array every frame, radial and halftone a new one)
+   */
+  buildInstances(cells, wordCount) {
+    if (cells === this.instanceCells && wordCount === this.instanceWordCount) return;
+    this.instanceCells = cells;
+    this.instanceWordCount = wordCount;
+    
+    const data = [];
+    cells.forEach((cell, index) => {
+      if (cell.wordIndex >= wordCount) return;
+      data.push(cell.x, cell.y, cell.wordIndex, index, cell.rotation, cell.scale);
+    });
+    
+    const gl = this.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.DYNAMIC_DRAW);
+    this.instanceCount = data.length / 6;
+  }
+  
+  /**
+   * Upload the silhouette mask (1 = inside) from SilhouetteAnalyzer
+   */
+  uploadMask(analysis) {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, analysis.width, analysis.height, 0, gl.RED, gl.UNSIGNED_BYTE, analysis.mask);
+  }
+  
+  /**
+   * Upload per-cell colors and words (RGBA, `columns` texels per row)
+   */
+  uploadColors(colors, columns) {
+    const gl = this.gl;
+    const rows = colors.length / 4 / columns;
+    gl.bindTexture(gl.TEXTURE_2D, this.colorTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, columns, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, colors);
+  }
+  
+  /**
+   * Draw the text grid for one frame
+   * @param {SilhouetteAnalyzer} analysis - frame analysis (mask in canvas pixels)
+   * @param {Object} state - words, grid size, settings and mask side (outside) of one WebcamTextRenderer text layer
+   * @param {Array} cells - layout cells for this frame (see WebcamTextRenderer.placeLayoutCells)
+   * @param {Uint8Array|null} cellColors - per layout cell rgb + word (see WebcamTextRenderer.computeCellColors), null for the word colors
+   * @returns {HTMLCanvasElement|OffscreenCanvas} canvas to composite with drawImage()
+   */
+  render(analysis, state, cells, cellColors = null) {
+    const gl = this.gl;
+    const { words, settings } = state;
+    const gridColWidth = state.displayWidth / state.textColumns;
+    const gridRowHeight = state.displayHeight / state.textRows;
+    
+    this.buildAtlas(words, gridColWidth, gridRowHeight, state.cellPadding);
+    this.buildInstances(cells, words.length);
+    this.uploadMask(analysis);
+    if (cellColors) {
+      this.uploadColors(cellColors, state.textColumns);
+    }
+    
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    
+    if (this.instanceCount === 0) return this.canvas;
+    
+    gl.useProgram(this.program);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    
+    gl.uniform2f(this.uniforms.u_resolution, this.canvas.width, this.canvas.height);
+    gl.uniform2f(this.uniforms.u_cellSize, gridColWidth, gridRowHeight);
+    gl.uniform2f(this.uniforms.u_slotSize, this.slotSize[0], this.slotSize[1]);
+    gl.uniform2f(this.uniforms.u_atlasGrid, this.atlasGrid[0], this.atlasGrid[1]);
+    gl.uniform1f(this.uniforms.u_time, performance.now() * 0.001);
+    gl.uniform1f(this.uniforms.u_speed, settings.animationSpeed / 1000);
+    gl.uniform1i(this.uniforms.u_animation, settings.enableAnimation ? (ANIMATION_IDS[settings.animationType] || 0) : 0);
+    
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+    gl.uniform1i(this.uniforms.u_atlas, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    gl.uniform1i(this.uniforms.u_mask, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.colorTexture);
+    gl.uniform1i(this.uniforms.u_colors, 2);
+    gl.uniform1i(this.uniforms.u_useColors, cellColors ? 1 : 0);
+    gl.uniform1i(this.uniforms.u_outside, state.outside ? 1 : 0);
+    
+    gl.bindVertexArray(this.vao);
+    gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, this.instanceCount);
+    gl.bindVertexArray(null);
+    
+    return this.canvas;
+  }
+  
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    const gl = this.gl;
+    gl.deleteProgram(this.program);
+    gl.deleteBuffer(this.instanceBuffer);
+    gl.deleteTexture(this.atlasTexture);
+    gl.deleteTexture(this.maskTexture);
+    gl.deleteTexture(this.colorTexture);
+    gl.deleteVertexArray(this.vao);
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Input sources for the silhouette pipeline
+ * Lets WebcamTextRenderer and WebcamProjection read frames from something
+ * other than getUserMedia: a video file, an image sequence or any canvas.
+ *
+ * Every source exposes the same small interface:
+ *   start()        -> Promise<boolean>
+ *   stop()
+ *   isReady()      -> boolean
+ *   getDrawable()  -> CanvasImageSource to pass to drawImage()
+ *   getSize()      -> { width, height } of the current frame
+ *   getFrameTime() -> changes whenever a new frame is available
+ */
+export class InputSource {
+  constructor() {
+    this.isStarted = false;
+  }
+  
+  async start() {
+    this.isStarted = true;
+    return true;
+  }
+  
+  stop() {
+    this.isStarted = false;
+  }
+  
+  isReady() {
+    return false;
+  }
+  
+  getDrawable() {
+    return null;
+  }
+  
+  getSize() {
+    return { width: 0, height: 0 };
+  }
+  
+  getFrameTime() {
+    return performance.now();
+  }
+  
+  /**
+   * Aspect ratio of the source, 4:3 until the first frame is known
+   */
+  getAspectRatio() {
+    const { width, height } = this.getSize();
+    if (width && height) {
+      return width / height;
+    }
+    return 4 / 3;
+  }
+}
+
+/**
+ * Looping video file (URL, File or Blob)
+ */
+export class VideoFileSource extends InputSource {
+  constructor(src, options = {}) {
+    super();
+    this.src = src;
+    this.objectUrl = null;
+    this.loading = null;
+    this.loop = options.loop !== false;
+    this.playbackRate = options.playbackRate || 1;
+    
+    this.video = document.createElement('video');
+    this.video.loop = this.loop;
+    this.video.autoplay = true;
+    this.video.muted = true;
+    this.video.playsInline = true;
+    this.video.preload = 'auto';
+    this.video.setAttribute('playsinline', '');
+    this.video.setAttribute('webkit-playsinline', '');
+    this.video.setAttribute('muted', '');
+  }
+  
+  /**
+   * Every surface sharing this source starts it, often in the same frame;
+   * they all wait on the one load (a failed load can be retried)
+   */
+  async start() {
+    if (this.isStarted) return true;
+    
+    if (!this.loading) {
+      this.loading = this.load().then(success => {
+        this.loading = null;
+        return success;
+      });
+    }
+    return this.loading;
+  }
+  
+  async load() {
+    try {
+      // Local files picked by the user arrive as File/Blob objects
+      if (typeof this.src === 'string') {
+        this.video.src = this.src;
+      } else {
+        this.objectUrl = URL.createObjectURL(this.src);
+        this.video.src = this.objectUrl;
+      }
+      
+      await new Promise((resolve, reject) => {
+        this.video.onloadeddata = resolve;
+        this.video.onerror = () => reject(new Error(`Could not load video: ${this.describe()}`));
+      });
+      
+      this.video.playbackRate = this.playbackRate;
+      await this.video.play().catch(() => {});
+      
+      this.isStarted = true;
+      console.log('🎞️ VideoFileSource started:', this.describe());
+      return true;
+    } catch (error) {
+      console.error('❌ VideoFileSource failed:', error.message);
+      if (this.objectUrl) {
+        URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
+      }
+      return false;
+    }
+  }
+  
+  stop() {
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    
+    this.isStarted = false;
+  }
+  
+  isReady() {
+    // Keep looping videos alive if the browser paused them (e.g. tab switch)
+    if (this.isStarted && this.video.paused && !this.video.ended) {
+      this.video.play().catch(() => {});
+    }
+    return this.isStarted && this.video.readyState >= 2 && this.video.videoWidth > 0;
+  }
+  
+  getDrawable() {
+    return this.video;
+  }
+  
+  getSize() {
+    return { width: this.video.videoWidth, height: this.video.videoHeight };
+  }
+  
+  getFrameTime() {
+    return this.video.currentTime;
+  }
+  
+  describe() {
+    return typeof this.src === 'string' ? this.src : (this.src.name || 'blob');
+  }
+}
+
+/**
+ * Sequence of still images played back at a fixed frame rate
+ */
+export class ImageSequenceSource extends InputSource {
+  constructor(urls, options = {}) {
+    super();
+    this.urls = urls;
+    this.fps = options.fps || 12;
+    this.loop = options.loop !== false;
+    this.images = [];
+    this.startTime = 0;
+    this.loading = null;
+  }
+  
+  /**
+   * Every surface sharing this source starts it, often in the same frame;
+   * they all wait on the one load (a failed load can be retried)
+   */
+  async start() {
+    if (this.isStarted) return true;
+    
+    if (!this.loading) {
+      this.loading = this.load().then(success => {
+        this.loading = null;
+        return success;
+      });
+    }
+    return this.loading;
+  }
+  
+  async load() {
+    try {
+      this.images = await Promise.all(this.urls.map(url => new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Could not load image: ${url}`));
+        img.src = url;
+      })));
+      
+      this.startTime = performance.now();
+      this.isStarted = true;
+      console.log(`🖼️ ImageSequenceSource started: ${this.images.length} frames @ ${this.fps}fps`);
+      return true;
+    } catch (error) {
+      console.error('❌ ImageSequenceSource failed:', error.message);
+      return false;
+    }
+  }
+  
+  stop() {
+    this.images = [];
+    this.isStarted = false;
+  }
+  
+  isReady() {
+    return this.isStarted && this.images.length > 0;
+  }
+  
+  /**
+   * Index of the frame that should be showing right now
+   */
+  getFrameIndex() {
+    const frame = Math.floor((performance.now() - this.startTime) / 1000 * this.fps);
+    if (this.loop) {
+      return frame % this.images.length;
+    }
+    return Math.min(frame, this.images.length - 1);
+  }
+  
+  getDrawable() {
+    return this.images[this.getFrameIndex()] || null;
+  }
+  
+  getSize() {
+    const img = this.images[0];
+    return img ? { width: img.naturalWidth, height: img.naturalHeight } : { width: 0, height: 0 };
+  }
+  
+  getFrameTime() {
+    return this.getFrameIndex();
+  }
+}
+
+/**
+ * Any canvas (or OffscreenCanvas) that something else draws into
+ */
+export class CanvasSource extends InputSource {
+  constructor(canvas) {
+    super();
+    this.canvas = canvas;
+    this.isStarted = true;
+  }
+  
+  isReady() {
+    return this.isStarted && this.canvas.width > 0 && this.canvas.height > 0;
+  }
+  
+  getDrawable() {
+    return this.canvas;
+  }
+  
+  getSize() {
+    return { width: this.canvas.width, height: this.canvas.height };
+  }
+}
+
+/**
+ * Create a source from a short spec string, e.g. from a ?source= query param
+ *   "assets/videos/IMG_6059-720p.mp4"  -> VideoFileSource
+ *   "a.png,b.png,c.png"                 -> ImageSequenceSource
+ * Returns null for "camera" or an empty spec
+ */
+export function createInputSource(spec, options = {}) {
+  if (!spec || spec === 'camera') return null;
+  
+  const parts = spec.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 1 || /\.(png|jpe?g|webp|gif)$/i.test(parts[0])) {
+    return new ImageSequenceSource(parts, options);
+  }
+  
+  return new VideoFileSource(parts[0], options);
+}
@@ -2,6 +2,12 @@ import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
 import { WebcamTextRenderer } from './webcam-text-renderer.js';
 import { WebcamProjection } from './webcam-projection.js';
+import { VideoFileSource, createInputSource } from './input-sources.js';
+import { SyntheticVisitorSource } from './synthetic-visitors.js';
+import { getCameraStream } from './camera-stream.js';
+import { PresetStore, decodePresetHash } from './silhouette-presets.js';
+import { SilhouetteFrameClient } from './silhouette-protocol.js';
+import { AttractMode } from './attract-mode.js';
 
 // ============================================
 // Scene Configuration (matching home page)
@@ -123,6 +129,7 @@ const _tempMatrix = new THREE.Matrix4();
 const _tempPosition = new THREE.Vector3();
 const _tempScale = new THREE.Vector3();
 const _tempColor = new THREE.Color();
+const _trailColor = new THREE.Color();
 const _leftWallRotation = new THREE.Quaternion();
 const _rightWallRotation = new THREE.Quaternion();
 
@@ -711,12 +718,16 @@ function init() {
   createProjectionRight();
   createSpeakers();
   
+  // Camera (or forced source) for both walls - once both exist
+  setupProjectionWebcam();
+  
   // Setup silhouette texture
   setupSilhouetteTexture();
   
   // Setup controls
   setupKeyboardControls();
   setupRoomControls();
+  setupRecordingControls();
   setupModelControls();
   setupProjectionControls();
   setupProjectionControlsRight();
@@ -1088,13 +1099,13 @@ function createSpeakers() {
 // ============================================
 function createProjection() {
   // Initialize webcam projection handler (lower resolution for performance)
+  // Mobile invert default (dark silhouette, matching the right wall) comes from WebcamProjection
   webcamProjection = new WebcamProjection(240, 180);
-  
-  // On mobile, match right wall settings (invert: true) for consistent appearance
-  // Use the instance's own mobile detection for consistency
-  if (webcamProjection.isMobile) {
-    webcamProjection.setSetting('invert', true);
-    console.log('📽️ Left wall: Mobile detected, setting invert=true');
+  if (thresholdModeParam) {
+    webcamProjection.setSetting('thresholdMode', thresholdModeParam);
+  }
+  if (trailModeParam) {
+    webcamProjection.setSetting('trailMode', trailModeParam);
   }
   
   // Initialize cached rotation quaternions
@@ -1149,15 +1160,21 @@ function createProjection() {
   projectionMesh.visible = roomSettings.projectionOn;
   
   scene.add(projectionMesh);
-  
-  // Setup webcam initialization on user interaction
-  setupProjectionWebcam();
 }
 
 // ============================================
 // Setup Projection Webcam (starts immediately, fallback on interaction)
 // ============================================
 function setupProjectionWebcam() {
+  // Forced input source (?source=...) - never touch the camera
+  if (forcedSourceSpec) {
+    if (webcamProjection) webcamProjection.setSource(getFallbackSource());
+    if (webcamProjectionRight) webcamProjectionRight.setSource(getFallbackSource());
+    return;
+  }
+  
+  watchCameraStream();
+  
   const initWebcam = async () => {
     if (projectionInitialized && projectionInitializedRight) return;
     
@@ -1167,21 +1184,25 @@ function setupProjectionWebcam() {
       const success = await webcamProjection.init();
       if (success) {
         projectionInitialized = true;
+        webcamProjection.setSource(null);
         console.log('✅ Left wall projection webcam ready');
       } else {
-        console.warn('⚠️ Left wall projection webcam failed to initialize');
+        console.warn('⚠️ Left wall projection webcam failed to initialize, using fallback video');
+        webcamProjection.setSource(getFallbackSource());
       }
     }
     
-    // Initialize right wall webcam (shares the same camera stream conceptually)
+    // Initialize right wall webcam (joins the stream the left wall opened)
     if (!projectionInitializedRight) {
       console.log('📽️ Initializing right wall projection webcam...');
       const successRight = await webcamProjectionRight.init();
       if (successRight) {
         projectionInitializedRight = true;
+        webcamProjectionRight.setSource(null);
         console.log('✅ Right wall projection webcam ready');
       } else {
-        console.warn('⚠️ Right wall projection webcam failed to initialize');
+        console.warn('⚠️ Right wall projection webcam failed to initialize, using fallback video');
+        webcamProjectionRight.setSource(getFallbackSource());
       }
     }
   };
@@ -1215,6 +1236,15 @@ function createProjectionRight() {
   
   // Set right wall defaults (invert is true by default)
   webcamProjectionRight.setSetting('invert', true);
+  if (thresholdModeParam) {
+    webcamProjectionRight.setSetting('thresholdMode', thresholdModeParam);
+  }
+  if (trailModeParam) {
+    webcamProjectionRight.setSetting('trailMode', trailModeParam);
+  }
+  if (delayParam) {
+    webcamProjectionRight.setSetting('delay', Math.max(0, Number(delayParam) || 0));
+  }
   
   // Material for right wall
   projectionMaterialRight = new THREE.MeshBasicMaterial({
@@ -1277,6 +1307,128 @@ console.log('🔍 Safari detection:', { isSafari, isIOSSafari, isDesktopSafari }
 let webcamInitialized = false;
 let webcamInitializing = false;
 
+// ?source=<video or comma-separated images> replaces the camera everywhere,
+// for demoing and tuning on machines without a webcam
+const forcedSourceSpec = new URLSearchParams(window.location.search).get('source');
+
+// ?backend=webgl draws the TV text grid with the glyph-atlas backend
+const textBackendParam = new URLSearchParams(window.location.search).get('backend');
+
+// ?threshold=otsu|adaptive|background picks the threshold strategy for the TV and both walls
+const thresholdModeParam = new URLSearchParams(window.location.search).get('threshold');
+
+// ?color=sample|gradient|palette colors the TV words from the video (see silhouette-colors.js)
+const colorModeParam = new URLSearchParams(window.location.search).get('color');
+
+// ?words=bands picks each TV word by brightness band, in line with the panels
+const wordModeParam = new URLSearchParams(window.location.search).get('words');
+
+// ?layout=sequential|weighted|hex|radial|halftone arranges the TV words (see silhouette-layouts.js)
+const layoutParam = new URLSearchParams(window.location.search).get('layout');
+
+// ?people=words|colors writes each visitor on the TV in their own words or color (see silhouette-people.js)
+const personModeParam = new URLSearchParams(window.location.search).get('people');
+
+// ?trail=afterimage|echo|exposure leaves a fading trail behind visitors on the TV and both walls
+const trailModeParam = new URLSearchParams(window.location.search).get('trail');
+
+// ?delay=<seconds> the right wall replays the silhouette from that long ago (see silhouette-delay.js)
+const delayParam = new URLSearchParams(window.location.search).get('delay');
+
+// ?attract=<seconds> idle time before the attract loop starts (0 turns it off, see attract-mode.js)
+const attractParam = new URLSearchParams(window.location.search).get('attract');
+let attractMode = null;
+
+// Nobody there for a while: replay earlier visitors on every surface
+function setupAttractMode(live, surfaces) {
+  const attractDelay = attractParam === null ? AttractMode.DEFAULTS.idleDelay : Number(attractParam);
+  if (attractDelay > 0) {
+    attractMode = new AttractMode(live, surfaces, { idleDelay: attractDelay });
+  }
+}
+
+// The iframe TV keeps its own camera; it replays the walls' clips (handed
+// over as ImageBitmaps, which the page closes) or its own synthetic visitors,
+// see 'attract' in WORD SILHOUETTE.html
+async function startIframeAttract(recorded) {
+  const clips = recorded
+    ? await Promise.all(attractMode.clips.map(clip => Promise.all(clip.map(frame => createImageBitmap(frame)))))
+    : null;
+  const frames = clips ? clips.flat() : [];
+  
+  if (!attractMode.active || !silhouetteClient) {
+    frames.forEach(frame => frame.close());
+    return;
+  }
+  
+  sendSilhouetteCommand('attract', {
+    active: true,
+    prompt: attractMode.options.prompt,
+    clips,
+    fps: attractMode.options.fps
+  }, frames);
+}
+
+// #preset=<link> or ?preset=<saved name> sets the TV look (see silhouette-presets.js)
+const presetParam = new URLSearchParams(window.location.search).get('preset');
+
+function getStartupPreset() {
+  return decodePresetHash() || (presetParam ? new PresetStore().get(presetParam) : null);
+}
+
+// Learn the empty room on every surface (threshold mode 'background', key B)
+function captureEmptyRoom() {
+  if (webcamRenderer) webcamRenderer.captureEmptyRoom();
+  if (webcamProjection) webcamProjection.captureEmptyRoom();
+  if (webcamProjectionRight) webcamProjectionRight.captureEmptyRoom();
+  sendSilhouetteCommand('captureBackground');
+}
+
+// Real silhouette footage shown when camera access is denied
+const FALLBACK_VIDEO = 'assets/videos/IMG_6059-720p.mp4';
+let fallbackSource = null;
+
+// One shared source so the TV and both walls stay in sync
+function getFallbackSource() {
+  if (!fallbackSource) {
+    fallbackSource = createInputSource(forcedSourceSpec) || new VideoFileSource(FALLBACK_VIDEO);
+  }
+  return fallbackSource;
+}
+
+// Follow the shared camera: hot-plugged cameras replace the fallback video,
+// a camera that is lost for good hands every surface back to it
+let cameraStreamWatched = false;
+
+function watchCameraStream() {
+  if (cameraStreamWatched) return;
+  cameraStreamWatched = true;
+  
+  const cameraStream = getCameraStream();
+  
+  cameraStream.addEventListener('streamchange', () => {
+    if (webcamProjection && webcamProjection.source === fallbackSource) {
+      webcamProjection.setSource(null);
+      projectionInitialized = true;
+    }
+    if (webcamProjectionRight && webcamProjectionRight.source === fallbackSource) {
+      webcamProjectionRight.setSource(null);
+      projectionInitializedRight = true;
+    }
+    if (webcamRenderer && webcamRenderer.source === fallbackSource) {
+      webcamRenderer.setSource(null);
+      webcamInitialized = true;
+    }
+  });
+  
+  cameraStream.addEventListener('streamlost', () => {
+    console.warn('⚠️ Camera lost, switching to fallback video');
+    if (webcamProjection) webcamProjection.setSource(getFallbackSource());
+    if (webcamProjectionRight) webcamProjectionRight.setSource(getFallbackSource());
+    if (webcamRenderer && webcamInitialized) webcamRenderer.setSource(getFallbackSource());
+  });
+}
+
 // Flag to track if we should fall back to iframe on Safari
 let safariUseIframeFallback = false;
 
@@ -1330,25 +1482,28 @@ function setupSilhouetteTexture() {
   silhouetteCtx.fillStyle = '#000000';
   silhouetteCtx.fillRect(0, 0, silhouetteCanvas.width, silhouetteCanvas.height);
   
-  if (isSafari) {
+  if (isSafari || forcedSourceSpec) {
     // Safari: Use native WebcamTextRenderer (iframe canvas capture is broken in Safari)
-    console.log('🍎 Safari detected - using native WebcamTextRenderer for TV');
+    // Forced input sources also need the native renderer (the iframe only reads the camera)
+    console.log('🍎 Using native WebcamTextRenderer for TV');
     setupSafariTVRenderer();
-      } else {
+  } else {
     // Chrome/Firefox: Use iframe approach (works great, has all effects)
     console.log('🖥️ Non-Safari detected - using iframe for WORD SILHOUETTE');
     
     const iframe = document.getElementById('silhouette-iframe');
     
     if (iframe) {
-      iframe.onload = () => {
-        console.log('WORD SILHOUETTE iframe loaded');
-        startIframeCapture(iframe);
-      };
+      // Frames arrive over postMessage once the page is ready
+      startIframeCapture(iframe);
       
-      // If iframe is already loaded
-      if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
-        startIframeCapture(iframe);
+      // The right wall watches for visitors - it keeps the dark silhouette like the
+      // TV (the left wall shows bright areas, which a lit empty room is full of);
+      // the iframe TV follows over the protocol
+      setupAttractMode(webcamProjectionRight, [webcamProjection, webcamProjectionRight]);
+      if (attractMode) {
+        attractMode.addEventListener('attractstart', (e) => startIframeAttract(e.detail.recorded));
+        attractMode.addEventListener('attractend', () => sendSilhouetteCommand('attract', { active: false }));
       }
     } else {
       console.log('⚠️ No iframe found, using placeholder animation');
@@ -1371,17 +1526,80 @@ function setupSafariTVRenderer() {
   webcamRenderer.settings.contourDensity = 2;
   console.log('✏️ Contour lines enabled for Safari TV');
   
+  if (textBackendParam) {
+    webcamRenderer.settings.textBackend = textBackendParam;
+  }
+  
+  if (thresholdModeParam) {
+    webcamRenderer.settings.thresholdMode = thresholdModeParam;
+  }
+  
+  // Palette mode snaps to the acrylic panel colors
+  webcamRenderer.settings.colorPalette = Object.values(CONFIG.colors);
+  if (colorModeParam) {
+    webcamRenderer.settings.colorMode = colorModeParam;
+  }
+  if (wordModeParam) {
+    webcamRenderer.settings.wordMode = wordModeParam;
+  }
+  if (layoutParam) {
+    webcamRenderer.settings.layout = layoutParam;
+    webcamRenderer.initializeGrid();
+  }
+  if (personModeParam) {
+    webcamRenderer.settings.personMode = personModeParam;
+  }
+  if (trailModeParam) {
+    webcamRenderer.settings.trailMode = trailModeParam;
+  }
+  
+  const preset = getStartupPreset();
+  if (preset) {
+    webcamRenderer.applyPreset(preset);
+  }
+  window.addEventListener('hashchange', () => {
+    const linked = decodePresetHash();
+    if (linked && webcamRenderer) webcamRenderer.applyPreset(linked);
+  });
+  
+  // Contour/glitch/text drawing runs in a worker so walking the room stays smooth
+  // (falls back to the main thread where OffscreenCanvas workers are unavailable)
+  webcamRenderer.enableWorker();
+  
+  // Visitor presence on the TV (debounced, see silhouette-presence.js)
+  webcamRenderer.addEventListener('visitorenter', (event) => {
+    console.log(`👋 Visitor in front of the TV (${Math.round(event.detail.coverage * 100)}% of frame)`);
+  });
+  webcamRenderer.addEventListener('visitorleave', (event) => {
+    console.log(`👋 Visitor left after ${Math.round(event.detail.duration / 1000)}s`);
+  });
+  webcamRenderer.addEventListener('camerastall', () => {
+    console.warn('⚠️ TV camera stalled - no new frames');
+  });
+  
+  // Nobody there for a while: replay earlier visitors on the TV and both walls
+  setupAttractMode(webcamRenderer, [webcamRenderer, webcamProjection, webcamProjectionRight].filter(Boolean));
+  
+  // Forced input source (?source=...) - never touch the camera
+  if (forcedSourceSpec) {
+    webcamRenderer.setSource(getFallbackSource());
+  } else {
+    watchCameraStream();
+  }
+  
   // Initialize webcam - same pattern as wall projections
   const initTVWebcam = async () => {
-    if (webcamInitialized) return;
+    if (webcamInitialized || forcedSourceSpec) return;
     
     console.log('📷 Initializing Safari TV webcam...');
     const success = await webcamRenderer.init();
     if (success) {
       webcamInitialized = true;
+      webcamRenderer.setSource(null);
       console.log('✅ Safari TV webcam initialized!');
-    } else {
-      console.warn('⚠️ Safari TV webcam failed to initialize');
+    } else if (!webcamRenderer.source) {
+      console.warn('⚠️ Safari TV webcam failed to initialize, using fallback video');
+      webcamRenderer.setSource(getFallbackSource());
     }
   };
   
@@ -1407,7 +1625,7 @@ function setupSafariTVRenderer() {
   
   // Render loop - same pattern as wall projections
   function safariTVRenderLoop() {
-    if (webcamRenderer && webcamInitialized) {
+    if (webcamRenderer && (webcamInitialized || webcamRenderer.source)) {
       // Render the text silhouette effect
       webcamRenderer.render();
       
@@ -1430,99 +1648,84 @@ function setupSafariTVRenderer() {
 
 let iframeCaptureStarted = false;
 
+// postMessage link to the WORD SILHOUETTE iframe (see silhouette-protocol.js)
+let silhouetteClient = null;
+
+function sendSilhouetteCommand(name, args = null, transfer = []) {
+  if (!silhouetteClient) return;
+  silhouetteClient.command(name, args, transfer).catch(e => {
+    console.warn('⚠️ Silhouette iframe command failed:', name, e.message);
+  });
+}
+
 function startIframeCapture(iframe) {
   if (iframeCaptureStarted) return;
   iframeCaptureStarted = true;
   
   console.log('🖼️ Starting iframe capture for TV screen');
   
+  silhouetteClient = new SilhouetteFrameClient(iframe);
+  
+  // Same URL options as the native renderer (queued until the page is ready)
+  if (thresholdModeParam) {
+    silhouetteClient.set({ settings: { thresholdMode: thresholdModeParam } }).catch(() => {});
+  }
+  if (trailModeParam) {
+    silhouetteClient.set({ settings: { trailMode: trailModeParam } }).catch(() => {});
+  }
+  const preset = getStartupPreset();
+  if (preset) {
+    silhouetteClient.set({
+      settings: preset.settings,
+      words: preset.words.length > 0 ? preset.words : undefined
+    }).catch(() => {});
+  }
+  
   let iframeFrameCount = 0;
-  let lastCaptureTime = 0;
-  const targetFPS = 30;
-  const frameInterval = 1000 / targetFPS;
-  
-  // Use requestAnimationFrame for smoother capture (works better on Safari)
-  function captureFrame(timestamp) {
-    // Throttle to target FPS
-    if (timestamp - lastCaptureTime >= frameInterval) {
-    try {
-      const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-      const iframeCanvas = iframeDoc.querySelector('canvas');
-      
-      if (iframeCanvas && iframeCanvas.width > 0) {
-        // Draw the webcam silhouette effect to our texture
-        silhouetteCtx.drawImage(
-          iframeCanvas,
-          0, 0,
-          silhouetteCanvas.width,
-          silhouetteCanvas.height
-        );
-        tvScreenTexture.needsUpdate = true;
-          
-          // Log occasionally
-          iframeFrameCount++;
-          if (iframeFrameCount % 300 === 0) {
-            console.log('🖼️ Iframe capture running, frame:', iframeFrameCount);
-          }
-      }
-    } catch (e) {
-      // Cross-origin or not ready - use placeholder
-        if (iframeFrameCount % 60 === 0) {
-          console.warn('⚠️ Iframe capture error:', e.message);
-        }
-      drawPlaceholderAnimation();
-    }
-      lastCaptureTime = timestamp;
-    }
+  
+  // The page sends its rendered canvas as ImageBitmaps
+  silhouetteClient.subscribe('frame', ({ bitmap }) => {
+    silhouetteCtx.drawImage(
+      bitmap,
+      0, 0,
+      silhouetteCanvas.width,
+      silhouetteCanvas.height
+    );
+    bitmap.close();
+    tvScreenTexture.needsUpdate = true;
     
-    requestAnimationFrame(captureFrame);
-  }
+    // Log occasionally
+    iframeFrameCount++;
+    if (iframeFrameCount % 300 === 0) {
+      console.log('🖼️ Iframe capture running, frame:', iframeFrameCount);
+    }
+  }, { fps: 30 });
   
-  requestAnimationFrame(captureFrame);
+  // Placeholder until the first frame arrives
+  function waitForFrames() {
+    if (iframeFrameCount > 0) return;
+    drawPlaceholderAnimation();
+    requestAnimationFrame(waitForFrames);
+  }
+  requestAnimationFrame(waitForFrames);
 }
 
 // ============================================
 // Placeholder Animation
 // ============================================
+// Synthetic visitors run through the real text renderer until a feed is live
+let placeholderRenderer = null;
+
 function drawPlaceholderAnimation() {
-  const time = Date.now() * 0.001;
-  const ctx = silhouetteCtx;
-  const w = silhouetteCanvas.width;
-  const h = silhouetteCanvas.height;
-  
-  ctx.fillStyle = '#000000';
-  ctx.fillRect(0, 0, w, h);
-  
-  const words = ['YOU ARE', 'YOUR CHOICES', 'PUBLIC SELF', 'POSSIBILITY'];
-  const textColors = ['#FF0000', '#0000FF', '#00FF00', '#FFFF00'];
-  
-  ctx.save();
-  ctx.beginPath();
-  const centerX = w / 2;
-  const centerY = h / 2;
-  ctx.ellipse(centerX, centerY - 20, 120, 150, 0, 0, Math.PI * 2);
-  ctx.moveTo(centerX - 120, centerY + 130);
-  ctx.quadraticCurveTo(centerX - 180, centerY + 200, centerX - 200, h);
-  ctx.lineTo(centerX + 200, h);
-  ctx.quadraticCurveTo(centerX + 180, centerY + 200, centerX + 120, centerY + 130);
-  ctx.clip();
-  
-  for (let y = 20; y < h; y += 15) {
-    for (let x = 0; x < w; x += 80) {
-      const wordIndex = Math.floor((x + y + time * 30) / 80) % words.length;
-      const fontSize = 8 + Math.sin(time * 2 + x * 0.01 + y * 0.01) * 2;
-      ctx.font = `${fontSize}px monospace`;
-      ctx.fillStyle = textColors[wordIndex];
-      ctx.fillText(words[wordIndex], x + Math.sin(time * 2 + y * 0.05) * 3, y);
-    }
+  if (!placeholderRenderer) {
+    placeholderRenderer = new WebcamTextRenderer(silhouetteCanvas.width, silhouetteCanvas.height);
+    placeholderRenderer.settings.showContour = true;
+    placeholderRenderer.settings.pixelSize = 3;
+    placeholderRenderer.setSource(new SyntheticVisitorSource({ seed: 7, people: 2, cycle: 30 }));
   }
-  ctx.restore();
   
-  ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.ellipse(centerX, centerY - 20, 120, 150, 0, 0, Math.PI * 2);
-  ctx.stroke();
+  placeholderRenderer.render();
+  silhouetteCtx.drawImage(placeholderRenderer.getCanvas(), 0, 0, silhouetteCanvas.width, silhouetteCanvas.height);
   
   tvScreenTexture.needsUpdate = true;
 }
@@ -1553,6 +1756,31 @@ function setupKeyboardControls() {
       case 'ShiftRight':
         isSprinting = true;
         break;
+      case 'KeyB':
+        captureEmptyRoom();
+        break;
+      case 'KeyR':
+        toggleTVRecording();
+        break;
+      case 'KeyP':
+        takeTVSnapshot();
+        break;
+      case 'KeyV':
+        // Vector export of the current TV frame
+        if (webcamRenderer) {
+          webcamRenderer.exportSVG();
+        } else {
+          sendSilhouetteCommand('exportSVG');
+        }
+        break;
+      case 'KeyH':
+        // High-DPI print export (A3 @ 300 dpi)
+        if (webcamRenderer) {
+          webcamRenderer.exportPrint({ size: 'A3', dpi: 300 });
+        } else {
+          sendSilhouetteCommand('exportPrint', { size: 'A3', dpi: 300 });
+        }
+        break;
     }
   });
   
@@ -1957,6 +2185,46 @@ function setupModelControls() {
   }
 }
 
+// ============================================
+// TV Output Capture (settings panel buttons, keys R and P)
+// ============================================
+// Record the TV output (WebM download)
+function toggleTVRecording() {
+  if (webcamRenderer) {
+    webcamRenderer.toggleRecording({ countdown: 3 });
+  } else {
+    sendSilhouetteCommand('toggleRecording');
+  }
+}
+
+// Lossless PNG of the TV output
+function takeTVSnapshot() {
+  if (webcamRenderer) {
+    webcamRenderer.takeSnapshot();
+  } else {
+    sendSilhouetteCommand('snapshot');
+  }
+}
+
+function setupRecordingControls() {
+  const recordBtn = document.getElementById('ctrl-record');
+  if (recordBtn) {
+    recordBtn.addEventListener('click', toggleTVRecording);
+    
+    // The native renderer reports its state (the iframe page shows its own)
+    if (webcamRenderer) {
+      webcamRenderer.getRecorder().onStateChange = (state) => {
+        recordBtn.textContent = state === 'recording' ? 'Stop (R)' : state === 'countdown' ? 'Starting…' : 'Record (R)';
+      };
+    }
+  }
+  
+  const snapshotBtn = document.getElementById('ctrl-snapshot');
+  if (snapshotBtn) {
+    snapshotBtn.addEventListener('click', takeTVSnapshot);
+  }
+}
+
 // Global functions for buttons
 window.toggleRoomControls = function() {
   const panel = document.getElementById('room-controls');
@@ -2451,6 +2719,12 @@ function setupProjectionControlsRight() {
 // ============================================
 // Update Projection from Webcam (InstancedMesh)
 // ============================================
+// Pixel color: the wall color, dimmed for trail pixels (see WebcamProjection trailMode)
+function getPixelColor(position) {
+  if (position.fade === undefined) return _tempColor;
+  return _trailColor.copy(_tempColor).multiplyScalar(position.fade);
+}
+
 function updateProjection(time) {
   if (!projectionMesh || !roomSettings.projectionOn) return;
   
@@ -2487,7 +2761,7 @@ function updateProjection(time) {
         _tempScale.set(pixelScale, pixelScale, 1);
         _tempMatrix.compose(_tempPosition, _leftWallRotation, _tempScale);
         projectionMesh.setMatrixAt(i, _tempMatrix);
-        projectionMesh.setColorAt(i, _tempColor);
+        projectionMesh.setColorAt(i, getPixelColor(wp));
       } else {
         // Hide unused instances (scale to 0)
         _tempScale.set(0, 0, 0);
@@ -2545,7 +2819,7 @@ function updateProjectionRight(time) {
         _tempScale.set(pixelScale, pixelScale, 1);
         _tempMatrix.compose(_tempPosition, _rightWallRotation, _tempScale);
         projectionMeshRight.setMatrixAt(i, _tempMatrix);
-        projectionMeshRight.setColorAt(i, _tempColor);
+        projectionMeshRight.setColorAt(i, getPixelColor(wp));
       } else {
         _tempScale.set(0, 0, 0);
         _tempMatrix.compose(_tempPosition, _rightWallRotation, _tempScale);
@@ -2752,6 +3026,11 @@ function animate() {
     updateMovement(delta);
   }
   
+  // Attract loop on the TV and walls (see setupAttractMode)
+  if (attractMode) {
+    attractMode.update();
+  }
+  
   projectionTime += delta;
   updateProjection(projectionTime);
   updateProjectionRight(projectionTime);
@@ -302,6 +302,21 @@ class Room3D {
     this.screenCanvas.height = 192;
     this.screenCtx = this.screenCanvas.getContext('2d');
     
+    // Offscreen layer for words, masked by synthetic visitor silhouettes
+    this.screenLayer = document.createElement('canvas');
+    this.screenLayer.width = this.screenCanvas.width;
+    this.screenLayer.height = this.screenCanvas.height;
+    this.screenLayerCtx = this.screenLayer.getContext('2d');
+    this.screenVisitors = null;
+    
+    // This file is a classic script, so load the generator module dynamically
+    import('./synthetic-visitors.js').then(({ SyntheticVisitorSource }) => {
+      this.screenVisitors = new SyntheticVisitorSource({ seed: 3, people: 2, cycle: 30 });
+      this.screenVisitors.start();
+    }).catch(error => {
+      console.warn('Synthetic visitors unavailable:', error.message);
+    });
+    
     this.screenTexture = new THREE.CanvasTexture(this.screenCanvas);
     this.screenTexture.colorSpace = THREE.SRGBColorSpace;
     
@@ -571,47 +586,33 @@ class Room3D {
     ctx.fillStyle = '#000000';
     ctx.fillRect(0, 0, w, h);
     
+    // Wait for the visitor generator to load
+    if (!this.screenVisitors) {
+      this.screenTexture.needsUpdate = true;
+      return;
+    }
+    
     // Draw animated word silhouette effect
     const words = ['YOU ARE', 'YOUR CHOICES', 'PUBLIC SELF', 'POSSIBILITY'];
     const textColors = ['#FF0000', '#0000FF', '#00FF00', '#FFFF00'];
+    const layer = this.screenLayerCtx;
     
-    ctx.save();
-    
-    // Create silhouette clip path
-    ctx.beginPath();
-    const centerX = w / 2;
-    const centerY = h / 2;
-    
-    // Head
-    ctx.ellipse(centerX, centerY - 15, 45, 55, 0, 0, Math.PI * 2);
-    
-    // Body
-    ctx.moveTo(centerX - 45, centerY + 40);
-    ctx.quadraticCurveTo(centerX - 65, centerY + 60, centerX - 75, h);
-    ctx.lineTo(centerX + 75, h);
-    ctx.quadraticCurveTo(centerX + 65, centerY + 60, centerX + 45, centerY + 40);
-    
-    ctx.clip();
+    layer.clearRect(0, 0, w, h);
     
     // Fill with animated words
     for (let y = 10; y < h; y += 12) {
       for (let x = 0; x < w; x += 60) {
         const wordIndex = Math.floor((x + y + time * 25) / 60) % words.length;
         const fontSize = 6 + Math.sin(time * 1.5 + x * 0.02 + y * 0.02) * 1;
-        ctx.font = `${fontSize}px monospace`;
-        ctx.fillStyle = textColors[wordIndex];
-        ctx.fillText(words[wordIndex], x + Math.sin(time * 1.5 + y * 0.04) * 2, y);
+        layer.font = `${fontSize}px monospace`;
+        layer.fillStyle = textColors[wordIndex];
+        layer.fillText(words[wordIndex], x + Math.sin(time * 1.5 + y * 0.04) * 2, y);
       }
     }
     
-    ctx.restore();
-    
-    // Subtle border glow
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.ellipse(centerX, centerY - 15, 45, 55, 0, 0, Math.PI * 2);
-    ctx.stroke();
+    // Keep words only inside the visitors
+    this.screenVisitors.clipToFigures(layer, w, h);
+    ctx.drawImage(this.screenLayer, 0, 0);
     
     this.screenTexture.needsUpdate = true;
   }
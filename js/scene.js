@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { SyntheticVisitorSource } from './synthetic-visitors.js';
+import { bindPresetControls } from './silhouette-presets.js';
+import { WebcamTextRenderer } from './webcam-text-renderer.js';
+import { PRINT_SIZES, PRINT_DPIS } from './silhouette-export.js';
+import { getCameraStream } from './camera-stream.js';
 
 // ============================================
 // Scene Configuration
@@ -55,7 +60,10 @@ let tvScreen, tvScreenTexture, tvFrame, screenBorder;
 let tvGroup, standPole;
 let installationGroup;
 let silhouetteCanvas, silhouetteCtx;
-let tvVideo; // Video element for TV screen
+let tvVideo; // Video element for TV screen (fallback until the camera is on)
+let tvRenderer = null; // Native WebcamTextRenderer for the TV
+let tvCameraActive = false;
+let tvCameraStarting = false; // init() pending (a double click or the consent auto-start must not run it twice)
 
 // Auto-pan animation
 let panAngle = 0;
@@ -287,10 +295,19 @@ function createTV() {
   // Function to draw video frame to canvas - runs every frame
   function updateVideoCanvas() {
     try {
-      if (tvVideo && tvVideo.readyState >= tvVideo.HAVE_CURRENT_DATA) {
+      // Live text silhouette once the visitor turned the camera on, else the video
+      let source = null;
+      if (tvCameraActive && tvRenderer) {
+        tvRenderer.render();
+        source = tvRenderer.getCanvas();
+      } else if (tvVideo && tvVideo.readyState >= tvVideo.HAVE_CURRENT_DATA) {
+        source = tvVideo;
+      }
+      
+      if (source) {
         // Apply color adjustments using the settings
         silhouetteCtx.filter = `contrast(${imageSettings.contrast}) saturate(${imageSettings.saturation}) brightness(${imageSettings.brightness})`;
-        silhouetteCtx.drawImage(tvVideo, 0, 0, silhouetteCanvas.width, silhouetteCanvas.height);
+        silhouetteCtx.drawImage(source, 0, 0, silhouetteCanvas.width, silhouetteCanvas.height);
         silhouetteCtx.filter = 'none';
         
         tvScreenTexture.needsUpdate = true;
@@ -475,22 +492,137 @@ function setupMouseTracking(container) {
 }
 
 // ============================================
-// Setup Silhouette Texture (no longer needed - video created in createTV)
+// Setup Silhouette Texture - native WebcamTextRenderer
 // ============================================
+// The TV shows tv-video until the visitor agrees to turn the camera on.
+// The camera only starts from the consent button, or on a later visit
+// when they agreed before and the browser still grants the permission.
+const CAMERA_CONSENT_KEY = 'wordSilhouette.cameraConsent';
+
 function setupSilhouetteTexture() {
-  // Video is now created directly in createTV()
-  // This function is kept for compatibility but does nothing
+  // Same resolution the WORD SILHOUETTE iframe used, scaled up onto the TV canvas
+  tvRenderer = new WebcamTextRenderer(640, 480);
+  tvRenderer.settings.colorPalette = Object.values(CONFIG.colors);
+  updateRendererSettings();
+  tvRenderer.enableWorker();
+  
+  // Camera unplugged or revoked - back to the video
+  getCameraStream().addEventListener('streamlost', () => {
+    setTVCameraActive(false);
+    setCameraConsentStatus('Camera disconnected - showing recorded footage');
+  });
+  
+  // Frozen camera (no new frames, see silhouette-presence.js)
+  tvRenderer.addEventListener('camerastall', () => {
+    setCameraConsentStatus('Camera stopped sending frames…');
+  });
+  tvRenderer.addEventListener('cameraresume', () => {
+    setCameraConsentStatus('');
+  });
+  
+  setupCameraConsent();
+}
+
+function setupCameraConsent() {
+  const startBtn = document.getElementById('camera-consent-btn');
+  const stopBtn = document.getElementById('camera-stop-btn');
+  if (startBtn) startBtn.addEventListener('click', startTVCamera);
+  if (stopBtn) stopBtn.addEventListener('click', stopTVCamera);
+  
+  let consented = false;
+  try {
+    consented = localStorage.getItem(CAMERA_CONSENT_KEY) === 'granted';
+  } catch (e) {
+    // Storage blocked - always ask
+  }
+  
+  // Not every browser can query the camera permission - those just ask again
+  if (consented && navigator.permissions && navigator.permissions.query) {
+    navigator.permissions.query({ name: 'camera' }).then(status => {
+      if (status.state === 'granted') startTVCamera();
+    }).catch(() => {});
+  }
+}
+
+function setCameraConsentStatus(message) {
+  const status = document.getElementById('camera-consent-status');
+  if (status) status.textContent = message;
+}
+
+async function startTVCamera() {
+  if (tvCameraActive || tvCameraStarting || !tvRenderer) return;
+  
+  setCameraConsentStatus('Starting camera…');
+  tvCameraStarting = true;
+  let success = false;
+  try {
+    success = await tvRenderer.init();
+  } finally {
+    tvCameraStarting = false;
+  }
+  
+  if (success) {
+    try {
+      localStorage.setItem(CAMERA_CONSENT_KEY, 'granted');
+    } catch (e) {
+      // Storage blocked - ask again next time
+    }
+    setCameraConsentStatus('');
+    setTVCameraActive(true);
+  } else {
+    setCameraConsentStatus('Camera unavailable - showing recorded footage');
+  }
+}
+
+function stopTVCamera() {
+  if (!tvRenderer) return;
+  
+  tvRenderer.stopCamera();
+  try {
+    localStorage.removeItem(CAMERA_CONSENT_KEY);
+  } catch (e) {
+    // Nothing stored
+  }
+  setTVCameraActive(false);
+}
+
+function setTVCameraActive(active) {
+  tvCameraActive = active;
+  
+  const consent = document.getElementById('camera-consent');
+  const stopBtn = document.getElementById('camera-stop-btn');
+  if (consent) consent.classList.toggle('hidden', active);
+  if (stopBtn) stopBtn.classList.toggle('hidden', !active);
+  
+  if (active) {
+    tvVideo.pause();
+  } else {
+    tvVideo.play().catch(() => {});
+  }
 }
 
 // ============================================
 // Placeholder Animation (fallback)
 // ============================================
+let placeholderVisitors = null;
+let placeholderLayer, placeholderLayerCtx;
+
 function drawPlaceholderAnimation() {
   const time = Date.now() * 0.001;
   const ctx = silhouetteCtx;
   const w = silhouetteCanvas.width;
   const h = silhouetteCanvas.height;
   
+  // Synthetic visitor silhouettes stand in for the webcam
+  if (!placeholderVisitors) {
+    placeholderVisitors = new SyntheticVisitorSource({ seed: 7, people: 1 });
+    placeholderVisitors.start();
+    placeholderLayer = document.createElement('canvas');
+    placeholderLayer.width = w;
+    placeholderLayer.height = h;
+    placeholderLayerCtx = placeholderLayer.getContext('2d');
+  }
+  
   // Clear with black
   ctx.fillStyle = '#000000';
   ctx.fillRect(0, 0, w, h);
@@ -498,39 +630,22 @@ function drawPlaceholderAnimation() {
   // Draw animated text grid (mimicking the WORD SILHOUETTE effect)
   const words = ['YOU ARE', 'YOUR CHOICES', 'PUBLIC SELF', 'POSSIBILITY'];
   const colors = ['#FF0000', '#0000FF', '#00FF00', '#FFFF00'];
+  const layer = placeholderLayerCtx;
   
-  // Create silhouette shape in center (simplified face outline)
-  ctx.save();
-  ctx.beginPath();
-  // Draw ellipse for head silhouette
-  const centerX = w / 2;
-  const centerY = h / 2;
-  ctx.ellipse(centerX, centerY - 20, 120, 150, 0, 0, Math.PI * 2);
-  // Draw shoulders
-  ctx.moveTo(centerX - 120, centerY + 130);
-  ctx.quadraticCurveTo(centerX - 180, centerY + 200, centerX - 200, h);
-  ctx.lineTo(centerX + 200, h);
-  ctx.quadraticCurveTo(centerX + 180, centerY + 200, centerX + 120, centerY + 130);
-  ctx.clip();
-  
-  // Draw text only inside silhouette
+  layer.clearRect(0, 0, w, h);
   for (let y = 20; y < h; y += 15) {
     for (let x = 0; x < w; x += 80) {
       const wordIndex = Math.floor((x + y + time * 30) / 80) % words.length;
       const fontSize = 8 + Math.sin(time * 2 + x * 0.01 + y * 0.01) * 2;
-      ctx.font = `${fontSize}px monospace`;
-      ctx.fillStyle = colors[wordIndex];
-      ctx.fillText(words[wordIndex], x + Math.sin(time * 2 + y * 0.05) * 3, y);
+      layer.font = `${fontSize}px monospace`;
+      layer.fillStyle = colors[wordIndex];
+      layer.fillText(words[wordIndex], x + Math.sin(time * 2 + y * 0.05) * 3, y);
     }
   }
-  ctx.restore();
   
-  // Draw contour outline (white edge effect)
-  ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.ellipse(centerX, centerY - 20, 120, 150, 0, 0, Math.PI * 2);
-  ctx.stroke();
+  // Keep text only inside the visitor silhouettes
+  placeholderVisitors.clipToFigures(layer, w, h);
+  ctx.drawImage(placeholderLayer, 0, 0);
   
   tvScreenTexture.needsUpdate = true;
 }
@@ -559,6 +674,9 @@ const imageSettings = {
   contourSensitivity: 25,  // Mid-range from screenshot
   contourDensity: 3,  // Mid-range from screenshot
   contourColor: '#FFFFFF',
+  contourStyle: 'pixels',  // 'pixels', 'lines' or 'text' (see silhouette-contours.js)
+  contourSmoothing: 2,
+  contourTextSpeed: 20,
   
   // Animation controls
   enableAnimation: false,  // Unchecked in screenshot
@@ -574,6 +692,26 @@ const imageSettings = {
   // Text/Grid settings
   defaultFontSize: 18,  // From screenshot
   textDensity: 2.3,  // From screenshot (2.x)
+  layout: 'grid',     // See silhouette-layouts.js
+  
+  // Negative space (background words around the silhouette)
+  negativeSpace: false,
+  outsideDensity: 1.5,
+  
+  // Word colors (see silhouette-colors.js)
+  wordMode: 'random',
+  personMode: 'off',  // 'words' or 'colors': each visitor in their own words (see silhouette-people.js)
+  personGroups: 2,
+  colorMode: 'word',
+  colorTint: 1,
+  
+  // Trails behind moving visitors (see silhouette-trails.js)
+  trailMode: 'off',
+  trailDecay: 0.9,
+  trailFrames: 8,
+  trailExposure: 4,
+  trailOpacity: 0.6,
+  trailBlend: 'auto',
   
   // Filter adjustments
   contrast: 1.25,
@@ -639,6 +777,50 @@ function setupGUI() {
         <label>Border Color</label>
         <input type="color" id="ctrl-bordercolor" value="${tvSettings.borderColor}">
       </div>
+      <div class="setting-section">TV Output</div>
+      <div class="setting-row">
+        <label>Text Backend</label>
+        <select id="ctrl-textbackend">
+          <option value="2d">Canvas 2D</option>
+          <option value="webgl">WebGL</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Print Size</label>
+        <select id="ctrl-printsize">
+          ${Object.keys(PRINT_SIZES).map(size => `<option value="${size}"${size === 'A3' ? ' selected' : ''}>${size}</option>`).join('')}
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Print DPI</label>
+        <select id="ctrl-printdpi">
+          ${PRINT_DPIS.map(dpi => `<option value="${dpi}"${dpi === 300 ? ' selected' : ''}>${dpi}</option>`).join('')}
+        </select>
+      </div>
+      <div class="setting-buttons">
+        <button id="ctrl-record" style="grid-column: span 2;">Record</button>
+        <button id="ctrl-snapshot">PNG</button>
+        <button id="ctrl-exportsvg">SVG</button>
+        <button id="ctrl-print" style="grid-column: span 4;">Print PNG</button>
+      </div>
+      
+      <div class="setting-section">Presets</div>
+      <div id="preset-controls">
+        <div class="setting-row">
+          <label>Preset</label>
+          <select data-preset="select"></select>
+        </div>
+        <input type="text" data-preset="name" placeholder="Preset name" style="width: 100%; padding: 8px; margin-bottom: 8px; background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.12); border-radius: 6px; color: #fff; font-size: 11px;">
+        <div class="setting-buttons">
+          <button data-preset="save">Save</button>
+          <button data-preset="delete">Delete</button>
+          <button data-preset="export">Export</button>
+          <button data-preset="import">Import</button>
+          <button data-preset="share" style="grid-column: span 4;">Copy Share Link</button>
+        </div>
+        <div data-preset="status" style="font-size: 10px; color: rgba(255,255,255,0.5); margin-top: 6px;"></div>
+      </div>
+      
       <div class="setting-section">Video Feed - Basic Controls</div>
       <div class="setting-row">
         <label>Threshold</label>
@@ -687,6 +869,24 @@ function setupGUI() {
         <label>Color</label>
         <input type="color" id="ctrl-contourcolor" value="${imageSettings.contourColor}">
       </div>
+      <div class="setting-row">
+        <label>Style</label>
+        <select id="ctrl-contourstyle">
+          <option value="pixels" ${imageSettings.contourStyle === 'pixels' ? 'selected' : ''}>Pixels</option>
+          <option value="lines" ${imageSettings.contourStyle === 'lines' ? 'selected' : ''}>Lines</option>
+          <option value="text" ${imageSettings.contourStyle === 'text' ? 'selected' : ''}>Text on Path</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Smoothing</label>
+        <input type="range" id="ctrl-contoursmoothing" min="0" max="4" step="1" value="${imageSettings.contourSmoothing}">
+        <span class="value" id="val-contoursmoothing">${imageSettings.contourSmoothing}</span>
+      </div>
+      <div class="setting-row">
+        <label>Text Flow</label>
+        <input type="range" id="ctrl-contourtextspeed" min="0" max="100" step="5" value="${imageSettings.contourTextSpeed}">
+        <span class="value" id="val-contourtextspeed">${imageSettings.contourTextSpeed}</span>
+      </div>
       
       <div class="setting-section">Video Feed - Animation</div>
       <div class="setting-row">
@@ -751,6 +951,105 @@ function setupGUI() {
         <input type="range" id="ctrl-textdensity" min="0.5" max="3" step="0.1" value="${imageSettings.textDensity}">
         <span class="value" id="val-textdensity">${imageSettings.textDensity}x</span>
       </div>
+      <div class="setting-row">
+        <label>Layout</label>
+        <select id="ctrl-layout">
+          <option value="grid" ${imageSettings.layout === 'grid' ? 'selected' : ''}>Grid</option>
+          <option value="sequential" ${imageSettings.layout === 'sequential' ? 'selected' : ''}>Sequential</option>
+          <option value="weighted" ${imageSettings.layout === 'weighted' ? 'selected' : ''}>Weighted</option>
+          <option value="hex" ${imageSettings.layout === 'hex' ? 'selected' : ''}>Hex</option>
+          <option value="radial" ${imageSettings.layout === 'radial' ? 'selected' : ''}>Radial</option>
+          <option value="halftone" ${imageSettings.layout === 'halftone' ? 'selected' : ''}>Halftone</option>
+        </select>
+      </div>
+      
+      <div class="setting-section">Video Feed - Negative Space</div>
+      <div class="setting-row">
+        <label>Background Words</label>
+        <input type="checkbox" id="ctrl-negativespace" ${imageSettings.negativeSpace ? 'checked' : ''}>
+      </div>
+      <div class="setting-row">
+        <label>Bg Density</label>
+        <input type="range" id="ctrl-outsidedensity" min="0.5" max="3" step="0.1" value="${imageSettings.outsideDensity}">
+        <span class="value" id="val-outsidedensity">${imageSettings.outsideDensity}x</span>
+      </div>
+      
+      <div class="setting-section">Video Feed - Word Colors</div>
+      <div class="setting-row">
+        <label>Word Choice</label>
+        <select id="ctrl-wordmode">
+          <option value="random" ${imageSettings.wordMode === 'random' ? 'selected' : ''}>Random</option>
+          <option value="bands" ${imageSettings.wordMode === 'bands' ? 'selected' : ''}>Brightness Bands</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Per Person</label>
+        <select id="ctrl-personmode">
+          <option value="off" ${imageSettings.personMode === 'off' ? 'selected' : ''}>Off</option>
+          <option value="words" ${imageSettings.personMode === 'words' ? 'selected' : ''}>Own Words</option>
+          <option value="colors" ${imageSettings.personMode === 'colors' ? 'selected' : ''}>Own Color</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Word Groups</label>
+        <input type="range" id="ctrl-persongroups" min="2" max="4" step="1" value="${imageSettings.personGroups}">
+        <span class="value" id="val-persongroups">${imageSettings.personGroups}</span>
+      </div>
+      <div class="setting-row">
+        <label>Color Mode</label>
+        <select id="ctrl-colormode">
+          <option value="word" ${imageSettings.colorMode === 'word' ? 'selected' : ''}>Word Colors</option>
+          <option value="sample" ${imageSettings.colorMode === 'sample' ? 'selected' : ''}>Video Tint</option>
+          <option value="gradient" ${imageSettings.colorMode === 'gradient' ? 'selected' : ''}>Brightness Gradient</option>
+          <option value="palette" ${imageSettings.colorMode === 'palette' ? 'selected' : ''}>Panel Colors</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Tint</label>
+        <input type="range" id="ctrl-colortint" min="0" max="1" step="0.05" value="${imageSettings.colorTint}">
+        <span class="value" id="val-colortint">${imageSettings.colorTint.toFixed(2)}</span>
+      </div>
+      
+      <div class="setting-section">Video Feed - Trails</div>
+      <div class="setting-row">
+        <label>Trail</label>
+        <select id="ctrl-trailmode">
+          <option value="off" ${imageSettings.trailMode === 'off' ? 'selected' : ''}>Off</option>
+          <option value="afterimage" ${imageSettings.trailMode === 'afterimage' ? 'selected' : ''}>Afterimage</option>
+          <option value="echo" ${imageSettings.trailMode === 'echo' ? 'selected' : ''}>Word Echo</option>
+          <option value="exposure" ${imageSettings.trailMode === 'exposure' ? 'selected' : ''}>Long Exposure</option>
+        </select>
+      </div>
+      <div class="setting-row">
+        <label>Decay</label>
+        <input type="range" id="ctrl-traildecay" min="0.5" max="0.99" step="0.01" value="${imageSettings.trailDecay}">
+        <span class="value" id="val-traildecay">${imageSettings.trailDecay.toFixed(2)}</span>
+      </div>
+      <div class="setting-row">
+        <label>Echo Frames</label>
+        <input type="range" id="ctrl-trailframes" min="2" max="20" step="1" value="${imageSettings.trailFrames}">
+        <span class="value" id="val-trailframes">${imageSettings.trailFrames}</span>
+      </div>
+      <div class="setting-row">
+        <label>Exposure</label>
+        <input type="range" id="ctrl-trailexposure" min="1" max="10" step="0.5" value="${imageSettings.trailExposure}">
+        <span class="value" id="val-trailexposure">${imageSettings.trailExposure}s</span>
+      </div>
+      <div class="setting-row">
+        <label>Trail Opacity</label>
+        <input type="range" id="ctrl-trailopacity" min="0" max="1" step="0.05" value="${imageSettings.trailOpacity}">
+        <span class="value" id="val-trailopacity">${imageSettings.trailOpacity.toFixed(2)}</span>
+      </div>
+      <div class="setting-row">
+        <label>Blend</label>
+        <select id="ctrl-trailblend">
+          <option value="auto" ${imageSettings.trailBlend === 'auto' ? 'selected' : ''}>Auto</option>
+          <option value="lighter" ${imageSettings.trailBlend === 'lighter' ? 'selected' : ''}>Add</option>
+          <option value="screen" ${imageSettings.trailBlend === 'screen' ? 'selected' : ''}>Screen</option>
+          <option value="difference" ${imageSettings.trailBlend === 'difference' ? 'selected' : ''}>Difference</option>
+          <option value="source-over" ${imageSettings.trailBlend === 'source-over' ? 'selected' : ''}>Normal</option>
+        </select>
+      </div>
       
       <div class="setting-section">Video Feed - Color Adjustments</div>
       <div class="setting-row">
@@ -770,6 +1069,13 @@ function setupGUI() {
       </div>
       
       <div class="setting-section">Custom Words & Colors</div>
+      <div class="setting-row">
+        <label>Word List</label>
+        <select id="ctrl-wordstarget">
+          <option value="inside">Silhouette</option>
+          <option value="outside">Background</option>
+        </select>
+      </div>
       <div class="word-input-group">
         <input type="text" id="newWord" placeholder="Add new word/phrase" style="width: 100%; padding: 8px; margin-bottom: 8px; background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.12); border-radius: 6px; color: #fff; font-size: 11px;">
         <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 8px; margin-bottom: 8px;">
@@ -844,6 +1150,12 @@ function setupGUI() {
   // Setup event listeners
   setupSettingsListeners();
   
+  // Saved looks (also applies a #preset= share link)
+  bindPresetControls(document.getElementById('preset-controls'), {
+    getPreset: getImagePreset,
+    applyPreset: applyImagePreset
+  });
+  
   // Initialize all displayed values
   updateAllDisplayedValues();
 }
@@ -873,6 +1185,8 @@ function updateAllDisplayedValues() {
   document.getElementById('val-pixelsize').textContent = imageSettings.pixelSize;
   document.getElementById('val-contoursens').textContent = imageSettings.contourSensitivity;
   document.getElementById('val-contourdensity').textContent = imageSettings.contourDensity;
+  document.getElementById('val-contoursmoothing').textContent = imageSettings.contourSmoothing;
+  document.getElementById('val-contourtextspeed').textContent = imageSettings.contourTextSpeed;
   
   // Animation
   document.getElementById('val-animspeed').textContent = imageSettings.animationSpeed;
@@ -884,6 +1198,17 @@ function updateAllDisplayedValues() {
   // Text/Grid
   document.getElementById('val-fontsize').textContent = imageSettings.defaultFontSize + 'px';
   document.getElementById('val-textdensity').textContent = imageSettings.textDensity.toFixed(1) + 'x';
+  document.getElementById('val-outsidedensity').textContent = imageSettings.outsideDensity.toFixed(1) + 'x';
+  
+  // Word Colors
+  document.getElementById('val-colortint').textContent = imageSettings.colorTint.toFixed(2);
+  document.getElementById('val-persongroups').textContent = imageSettings.personGroups;
+  
+  // Trails
+  document.getElementById('val-traildecay').textContent = imageSettings.trailDecay.toFixed(2);
+  document.getElementById('val-trailframes').textContent = imageSettings.trailFrames;
+  document.getElementById('val-trailexposure').textContent = imageSettings.trailExposure + 's';
+  document.getElementById('val-trailopacity').textContent = imageSettings.trailOpacity.toFixed(2);
   
   // Color Adjustments
   document.getElementById('val-contrast').textContent = imageSettings.contrast.toFixed(2);
@@ -898,10 +1223,7 @@ window.toggleSettings = function() {
   
   // Update words list when opening the panel
   if (panel.classList.contains('open')) {
-    // Give iframe a moment to be ready
-    setTimeout(() => {
-      updateWordsListDisplay();
-    }, 100);
+    updateWordsListDisplay();
   }
 };
 
@@ -939,6 +1261,9 @@ window.resetAll = function() {
   imageSettings.contourSensitivity = 25;
   imageSettings.contourDensity = 3;
   imageSettings.contourColor = '#FFFFFF';
+  imageSettings.contourStyle = 'pixels';
+  imageSettings.contourSmoothing = 2;
+  imageSettings.contourTextSpeed = 20;
   imageSettings.enableAnimation = false;
   imageSettings.animationType = 'wave';
   imageSettings.animationSpeed = 10;
@@ -948,6 +1273,20 @@ window.resetAll = function() {
   imageSettings.glitchSpeed = 3;
   imageSettings.defaultFontSize = 18;
   imageSettings.textDensity = 2.3;
+  imageSettings.layout = 'grid';
+  imageSettings.negativeSpace = false;
+  imageSettings.outsideDensity = 1.5;
+  imageSettings.wordMode = 'random';
+  imageSettings.personMode = 'off';
+  imageSettings.personGroups = 2;
+  imageSettings.colorMode = 'word';
+  imageSettings.colorTint = 1;
+  imageSettings.trailMode = 'off';
+  imageSettings.trailDecay = 0.9;
+  imageSettings.trailFrames = 8;
+  imageSettings.trailExposure = 4;
+  imageSettings.trailOpacity = 0.6;
+  imageSettings.trailBlend = 'auto';
   imageSettings.contrast = 1.25;
   imageSettings.saturation = 1.35;
   imageSettings.brightness = 1.1;
@@ -968,6 +1307,11 @@ window.resetAll = function() {
   document.getElementById('ctrl-contourdensity').value = 3;
   document.getElementById('val-contourdensity').textContent = '3';
   document.getElementById('ctrl-contourcolor').value = '#FFFFFF';
+  document.getElementById('ctrl-contourstyle').value = 'pixels';
+  document.getElementById('ctrl-contoursmoothing').value = 2;
+  document.getElementById('val-contoursmoothing').textContent = '2';
+  document.getElementById('ctrl-contourtextspeed').value = 20;
+  document.getElementById('val-contourtextspeed').textContent = '20';
   document.getElementById('ctrl-enableanim').checked = false;
   document.getElementById('ctrl-animtype').value = 'wave';
   document.getElementById('ctrl-animspeed').value = 10;
@@ -982,6 +1326,27 @@ window.resetAll = function() {
   document.getElementById('val-fontsize').textContent = '18px';
   document.getElementById('ctrl-textdensity').value = 2.3;
   document.getElementById('val-textdensity').textContent = '2.3x';
+  document.getElementById('ctrl-layout').value = 'grid';
+  document.getElementById('ctrl-negativespace').checked = false;
+  document.getElementById('ctrl-outsidedensity').value = 1.5;
+  document.getElementById('val-outsidedensity').textContent = '1.5x';
+  document.getElementById('ctrl-wordmode').value = 'random';
+  document.getElementById('ctrl-personmode').value = 'off';
+  document.getElementById('ctrl-persongroups').value = 2;
+  document.getElementById('val-persongroups').textContent = '2';
+  document.getElementById('ctrl-colormode').value = 'word';
+  document.getElementById('ctrl-colortint').value = 1;
+  document.getElementById('val-colortint').textContent = '1.00';
+  document.getElementById('ctrl-trailmode').value = 'off';
+  document.getElementById('ctrl-traildecay').value = 0.9;
+  document.getElementById('val-traildecay').textContent = '0.90';
+  document.getElementById('ctrl-trailframes').value = 8;
+  document.getElementById('val-trailframes').textContent = '8';
+  document.getElementById('ctrl-trailexposure').value = 4;
+  document.getElementById('val-trailexposure').textContent = '4s';
+  document.getElementById('ctrl-trailopacity').value = 0.6;
+  document.getElementById('val-trailopacity').textContent = '0.60';
+  document.getElementById('ctrl-trailblend').value = 'auto';
   document.getElementById('ctrl-contrast').value = 1.25;
   document.getElementById('val-contrast').textContent = '1.25';
   document.getElementById('ctrl-saturation').value = 1.35;
@@ -998,8 +1363,8 @@ window.resetAll = function() {
     THREE.MathUtils.degToRad(defaults.rotateZ)
   );
   
-  // Update iframe with reset settings
-  updateIframeSettings();
+  // Update the TV renderer with reset settings
+  updateRendererSettings();
   
   // Reset words to default
   resetWordsToDefault();
@@ -1113,6 +1478,42 @@ function setupSettingsListeners() {
   });
   
   
+  // === TV OUTPUT CONTROLS ===
+  
+  document.getElementById('ctrl-textbackend').addEventListener('change', (e) => {
+    tvRenderer.settings.textBackend = e.target.value;
+  });
+  
+  const recordBtn = document.getElementById('ctrl-record');
+  tvRenderer.getRecorder().onStateChange = (state) => {
+    recordBtn.textContent = state === 'recording' ? 'Stop' : state === 'countdown' ? 'Starting…' : 'Record';
+  };
+  recordBtn.addEventListener('click', () => {
+    tvRenderer.toggleRecording({ countdown: 3 });
+  });
+  
+  document.getElementById('ctrl-snapshot').addEventListener('click', () => {
+    tvRenderer.takeSnapshot();
+  });
+  
+  document.getElementById('ctrl-exportsvg').addEventListener('click', () => {
+    tvRenderer.exportSVG();
+  });
+  
+  // High-DPI print export (large sizes take a few seconds)
+  const printBtn = document.getElementById('ctrl-print');
+  printBtn.addEventListener('click', async () => {
+    printBtn.disabled = true;
+    printBtn.textContent = 'Rendering…';
+    await tvRenderer.exportPrint({
+      size: document.getElementById('ctrl-printsize').value,
+      dpi: parseInt(document.getElementById('ctrl-printdpi').value)
+    });
+    printBtn.disabled = false;
+    printBtn.textContent = 'Print PNG';
+  });
+  
+  
   // === VIDEO FEED CONTROLS ===
   
   // Basic Controls
@@ -1120,104 +1521,123 @@ function setupSettingsListeners() {
     const v = parseInt(e.target.value);
     document.getElementById('val-threshold').textContent = v;
     imageSettings.threshold = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-invert').addEventListener('change', (e) => {
     imageSettings.invert = e.target.checked;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-flip').addEventListener('change', (e) => {
     imageSettings.flip = e.target.checked;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-portrait').addEventListener('change', (e) => {
     imageSettings.portraitMode = e.target.checked;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-cellwidth').addEventListener('input', (e) => {
     const v = parseFloat(e.target.value);
     document.getElementById('val-cellwidth').textContent = v.toFixed(1);
     imageSettings.cellWidthMultiplier = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   // Contour Controls
   document.getElementById('ctrl-contour').addEventListener('change', (e) => {
     imageSettings.contour = e.target.checked;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-pixelsize').addEventListener('input', (e) => {
     const v = parseInt(e.target.value);
     document.getElementById('val-pixelsize').textContent = v;
     imageSettings.pixelSize = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-contoursens').addEventListener('input', (e) => {
     const v = parseInt(e.target.value);
     document.getElementById('val-contoursens').textContent = v;
     imageSettings.contourSensitivity = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-contourdensity').addEventListener('input', (e) => {
     const v = parseInt(e.target.value);
     document.getElementById('val-contourdensity').textContent = v;
     imageSettings.contourDensity = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-contourcolor').addEventListener('input', (e) => {
     imageSettings.contourColor = e.target.value;
-    updateIframeSettings();
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-contourstyle').addEventListener('change', (e) => {
+    imageSettings.contourStyle = e.target.value;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-contoursmoothing').addEventListener('input', (e) => {
+    const v = parseInt(e.target.value);
+    document.getElementById('val-contoursmoothing').textContent = v;
+    imageSettings.contourSmoothing = v;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-contourtextspeed').addEventListener('input', (e) => {
+    const v = parseInt(e.target.value);
+    document.getElementById('val-contourtextspeed').textContent = v;
+    imageSettings.contourTextSpeed = v;
+    updateRendererSettings();
   });
   
   // Animation Controls
   document.getElementById('ctrl-enableanim').addEventListener('change', (e) => {
     imageSettings.enableAnimation = e.target.checked;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-animtype').addEventListener('change', (e) => {
     imageSettings.animationType = e.target.value;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-animspeed').addEventListener('input', (e) => {
     const v = parseInt(e.target.value);
     document.getElementById('val-animspeed').textContent = v;
     imageSettings.animationSpeed = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   // Glitch Controls
   document.getElementById('ctrl-glitch').addEventListener('change', (e) => {
     imageSettings.glitch = e.target.checked;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-glitchtype').addEventListener('change', (e) => {
     imageSettings.glitchType = e.target.value;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-glitchamt').addEventListener('input', (e) => {
     const v = parseInt(e.target.value);
     document.getElementById('val-glitchamt').textContent = v + '%';
     imageSettings.glitchIntensity = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-glitchspeed').addEventListener('input', (e) => {
     const v = parseInt(e.target.value);
     document.getElementById('val-glitchspeed').textContent = v;
     imageSettings.glitchSpeed = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   // Text/Grid Controls
@@ -1225,14 +1645,101 @@ function setupSettingsListeners() {
     const v = parseInt(e.target.value);
     document.getElementById('val-fontsize').textContent = v + 'px';
     imageSettings.defaultFontSize = v;
-    updateIframeSettings();
+    updateRendererSettings();
   });
   
   document.getElementById('ctrl-textdensity').addEventListener('input', (e) => {
     const v = parseFloat(e.target.value);
     document.getElementById('val-textdensity').textContent = v.toFixed(1) + 'x';
     imageSettings.textDensity = v;
-    updateIframeSettings();
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-layout').addEventListener('change', (e) => {
+    imageSettings.layout = e.target.value;
+    updateRendererSettings();
+  });
+  
+  // Negative Space Controls
+  document.getElementById('ctrl-negativespace').addEventListener('change', (e) => {
+    imageSettings.negativeSpace = e.target.checked;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-outsidedensity').addEventListener('input', (e) => {
+    const v = parseFloat(e.target.value);
+    document.getElementById('val-outsidedensity').textContent = v.toFixed(1) + 'x';
+    imageSettings.outsideDensity = v;
+    updateRendererSettings();
+  });
+  
+  // Word Color Controls
+  document.getElementById('ctrl-wordmode').addEventListener('change', (e) => {
+    imageSettings.wordMode = e.target.value;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-personmode').addEventListener('change', (e) => {
+    imageSettings.personMode = e.target.value;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-persongroups').addEventListener('input', (e) => {
+    const v = parseInt(e.target.value);
+    document.getElementById('val-persongroups').textContent = v;
+    imageSettings.personGroups = v;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-colormode').addEventListener('change', (e) => {
+    imageSettings.colorMode = e.target.value;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-colortint').addEventListener('input', (e) => {
+    const v = parseFloat(e.target.value);
+    document.getElementById('val-colortint').textContent = v.toFixed(2);
+    imageSettings.colorTint = v;
+    updateRendererSettings();
+  });
+  
+  // Trail Controls
+  document.getElementById('ctrl-trailmode').addEventListener('change', (e) => {
+    imageSettings.trailMode = e.target.value;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-traildecay').addEventListener('input', (e) => {
+    const v = parseFloat(e.target.value);
+    document.getElementById('val-traildecay').textContent = v.toFixed(2);
+    imageSettings.trailDecay = v;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-trailframes').addEventListener('input', (e) => {
+    const v = parseInt(e.target.value);
+    document.getElementById('val-trailframes').textContent = v;
+    imageSettings.trailFrames = v;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-trailexposure').addEventListener('input', (e) => {
+    const v = parseFloat(e.target.value);
+    document.getElementById('val-trailexposure').textContent = v + 's';
+    imageSettings.trailExposure = v;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-trailopacity').addEventListener('input', (e) => {
+    const v = parseFloat(e.target.value);
+    document.getElementById('val-trailopacity').textContent = v.toFixed(2);
+    imageSettings.trailOpacity = v;
+    updateRendererSettings();
+  });
+  
+  document.getElementById('ctrl-trailblend').addEventListener('change', (e) => {
+    imageSettings.trailBlend = e.target.value;
+    updateRendererSettings();
   });
   
   // Color Adjustment Controls
@@ -1267,6 +1774,10 @@ function setupSettingsListeners() {
     }
   });
   
+  document.getElementById('ctrl-wordstarget').addEventListener('change', function() {
+    updateWordsListDisplay();
+  });
+  
   document.getElementById('clearWordsBtn').addEventListener('click', function() {
     clearAllWords();
   });
@@ -1279,35 +1790,8 @@ function setupSettingsListeners() {
     updateWordsListDisplay();
   });
   
-  // Initialize words list with default values immediately
-  initializeWordsListWithDefaults();
-  
-  // Also try to update from iframe when it's ready
-  const iframe = document.getElementById('silhouette-iframe');
-  if (iframe) {
-    // Listen for iframe load event
-    iframe.addEventListener('load', function() {
-      setTimeout(() => {
-        updateWordsListDisplay();
-      }, 1000);
-    });
-  }
-}
-
-// Initialize words list with default words (from WORD SILHOUETTE defaults)
-function initializeWordsListWithDefaults() {
-  const wordsListElement = document.getElementById('wordsList');
-  if (!wordsListElement) return;
-  
-  // Default words from WORD SILHOUETTE file
-  const defaultWords = [
-    { text: "YOU ARE", color: "#FF0000", font: "monospace", size: 10 },
-    { text: "YOUR CHOICES", color: "#0000FF", font: "serif", size: 22 },
-    { text: "PUBLIC SELF", color: "#00FF00", font: "monospace", size: 10 },
-    { text: "POSSIBILITY", color: "#FFFF00", font: "monospace", size: 10 }
-  ];
-  
-  displayWordsList(defaultWords);
+  // Show the renderer's words
+  updateWordsListDisplay();
 }
 
 // Display words list from an array
@@ -1329,9 +1813,9 @@ function displayWordsList(wordsData) {
     wordItem.innerHTML = `
       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
         <span style="color: ${word.color}; font-family: ${word.font}; font-size: ${word.size}px; font-weight: 500;">${word.text}</span>
-        <button onclick="deleteWord(${index})" style="background: rgba(255,100,100,0.2); border: 1px solid rgba(255,100,100,0.3); border-radius: 4px; color: #ff6464; font-size: 16px; width: 24px; height: 24px; cursor: pointer; line-height: 1;">×</button>
+        <button onclick="deleteWord(${index})" ${wordsData.length <= 1 ? 'disabled title="Keep at least one word"' : ''} style="background: rgba(255,100,100,0.2); border: 1px solid rgba(255,100,100,0.3); border-radius: 4px; color: #ff6464; font-size: 16px; width: 24px; height: 24px; cursor: pointer; line-height: 1;">×</button>
       </div>
-      <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 6px;">
+      <div style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr; gap: 6px;">
         <div>
           <label style="font-size: 9px; color: rgba(255,255,255,0.4); display: block; margin-bottom: 3px;">Color</label>
           <input type="color" value="${word.color}" onchange="updateWordProperty(${index}, 'color', this.value)" style="width: 100%; height: 24px; border: 1px solid rgba(255,255,255,0.12); border-radius: 4px; cursor: pointer;">
@@ -1350,6 +1834,10 @@ function displayWordsList(wordsData) {
           <label style="font-size: 9px; color: rgba(255,255,255,0.4); display: block; margin-bottom: 3px;">Size</label>
           <input type="number" value="${word.size}" min="6" max="24" onchange="updateWordProperty(${index}, 'size', parseInt(this.value))" style="width: 100%; padding: 4px; background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.12); border-radius: 4px; color: #fff; font-size: 10px;">
         </div>
+        <div>
+          <label style="font-size: 9px; color: rgba(255,255,255,0.4); display: block; margin-bottom: 3px;">Weight</label>
+          <input type="number" value="${word.weight === undefined ? 1 : word.weight}" min="0" max="10" step="0.5" title="How often the word appears in the Weighted layout" onchange="updateWordProperty(${index}, 'weight', parseFloat(this.value) || 0)" style="width: 100%; padding: 4px; background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.12); border-radius: 4px; color: #fff; font-size: 10px;">
+        </div>
       </div>
     `;
     
@@ -1357,307 +1845,167 @@ function displayWordsList(wordsData) {
   });
 }
 
-// Custom Words Management Functions
-function addCustomWord(text, color, font, size) {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) return;
-  
-  try {
-    const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-    const iframeWindow = iframe.contentWindow;
-    
-    // Access the wordsData array in the iframe
-    if (iframeWindow.wordsData) {
-      iframeWindow.wordsData.push({ text, color, font, size });
-      
-      // Update the words list in the iframe
-      if (iframeWindow.updateWordsList) {
-        iframeWindow.updateWordsList();
-      }
-      
-      // Reinitialize the grid to pick up the new word
-      if (iframeWindow.initializeGrid) {
-        iframeWindow.initializeGrid();
-      }
-      
-      // Update our local display
-      setTimeout(() => {
-        updateWordsListDisplay();
-      }, 50);
-    }
-  } catch (e) {
-    console.log('Could not add word to iframe:', e.message);
+// Custom Words Management Functions (edit the TV renderer's words directly)
+// The list shown is the silhouette's words or the negative space background words
+function isEditingOutsideWords() {
+  const select = document.getElementById('ctrl-wordstarget');
+  return !!select && select.value === 'outside';
+}
+
+function getEditedWords() {
+  return isEditingOutsideWords() ? tvRenderer.outsideWords : tvRenderer.words;
+}
+
+function setEditedWords(words) {
+  if (isEditingOutsideWords()) {
+    tvRenderer.setOutsideWords(words);
+  } else {
+    tvRenderer.setWords(words);
   }
 }
 
+function addCustomWord(text, color, font, size) {
+  setEditedWords([...getEditedWords(), { text, color, font, size }]);
+  updateWordsListDisplay();
+}
+
 function clearAllWords() {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) return;
-  
-  try {
-    const iframeWindow = iframe.contentWindow;
-    
-    if (iframeWindow.wordsData) {
-      iframeWindow.wordsData = [];
-      
-      if (iframeWindow.updateWordsList) {
-        iframeWindow.updateWordsList();
-      }
-      
-      if (iframeWindow.initializeGrid) {
-        iframeWindow.initializeGrid();
-      }
-      
-      setTimeout(() => {
-        updateWordsListDisplay();
-      }, 50);
-    }
-  } catch (e) {
-    console.log('Could not clear words:', e.message);
-  }
+  setEditedWords([]);
+  updateWordsListDisplay();
 }
 
 function resetWordsToDefault() {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) return;
-  
-  try {
-    const iframeWindow = iframe.contentWindow;
-    
-    if (iframeWindow.wordsData && iframeWindow.defaultWords) {
-      iframeWindow.wordsData = [...iframeWindow.defaultWords];
-      
-      if (iframeWindow.updateWordsList) {
-        iframeWindow.updateWordsList();
-      }
-      
-      if (iframeWindow.initializeGrid) {
-        iframeWindow.initializeGrid();
-      }
-      
-      setTimeout(() => {
-        updateWordsListDisplay();
-      }, 50);
-    }
-  } catch (e) {
-    console.log('Could not reset words:', e.message);
+  if (isEditingOutsideWords()) {
+    tvRenderer.resetOutsideWords();
+  } else {
+    tvRenderer.resetWords();
   }
+  updateWordsListDisplay();
 }
 
 function deleteWord(index) {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) return;
+  // Keep at least one word - the silhouette is drawn from them
+  const words = getEditedWords();
+  if (words.length <= 1) return;
   
-  try {
-    const iframeWindow = iframe.contentWindow;
-    
-    if (iframeWindow.wordsData) {
-      iframeWindow.wordsData.splice(index, 1);
-      
-      if (iframeWindow.updateWordsList) {
-        iframeWindow.updateWordsList();
-      }
-      
-      if (iframeWindow.initializeGrid) {
-        iframeWindow.initializeGrid();
-      }
-      
-      setTimeout(() => {
-        updateWordsListDisplay();
-      }, 50);
-    }
-  } catch (e) {
-    console.log('Could not delete word:', e.message);
-  }
+  setEditedWords(words.filter((word, i) => i !== index));
+  updateWordsListDisplay();
 }
 
 function updateWordProperty(index, property, value) {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) return;
+  const word = getEditedWords()[index];
+  if (!word) return;
   
-  try {
-    const iframeWindow = iframe.contentWindow;
-    
-    if (iframeWindow.wordsData && iframeWindow.wordsData[index]) {
-      // Update the word property
-      iframeWindow.wordsData[index][property] = value;
-      
-      // Force a re-render of the words list in the iframe (updates the UI controls there)
-      if (iframeWindow.updateWordsList) {
-        iframeWindow.updateWordsList();
-      }
-      
-      // Also reinitialize the grid if the function exists (forces text to regenerate)
-      if (iframeWindow.initializeGrid) {
-        iframeWindow.initializeGrid();
-      }
-      
-      // Update our local display to reflect the change
-      setTimeout(() => {
-        updateWordsListDisplay();
-      }, 50);
-    }
-  } catch (e) {
-    console.log('Could not update word:', e.message);
+  word[property] = value;
+  
+  // Weights only count when the grid is shuffled
+  if (property === 'weight') {
+    tvRenderer.initializeGrid();
   }
+  updateWordsListDisplay();
 }
 
 function updateWordsListDisplay() {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) {
-    console.log('Iframe not ready yet');
-    return;
-  }
-  
-  try {
-    const iframeWindow = iframe.contentWindow;
+  if (!tvRenderer) return;
+  displayWordsList(getEditedWords());
+}
+
+// ============================================
+// Presets (see silhouette-presets.js)
+// ============================================
+// imageSettings key -> preset key (WebcamTextRenderer names) and its control
+const IMAGE_PRESET_FIELDS = [
+  { key: 'threshold', preset: 'threshold', control: 'ctrl-threshold' },
+  { key: 'invert', preset: 'invertColors', control: 'ctrl-invert' },
+  { key: 'flip', preset: 'flipVideo', control: 'ctrl-flip' },
+  { key: 'portraitMode', preset: 'portraitMode', control: 'ctrl-portrait' },
+  { key: 'cellWidthMultiplier', preset: 'cellWidthMultiplier', control: 'ctrl-cellwidth' },
+  { key: 'contour', preset: 'showContour', control: 'ctrl-contour' },
+  { key: 'pixelSize', preset: 'pixelSize', control: 'ctrl-pixelsize' },
+  { key: 'contourSensitivity', preset: 'contourSensitivity', control: 'ctrl-contoursens' },
+  { key: 'contourDensity', preset: 'contourDensity', control: 'ctrl-contourdensity' },
+  { key: 'contourColor', preset: 'contourColor', control: 'ctrl-contourcolor' },
+  { key: 'contourStyle', preset: 'contourStyle', control: 'ctrl-contourstyle' },
+  { key: 'contourSmoothing', preset: 'contourSmoothing', control: 'ctrl-contoursmoothing' },
+  { key: 'contourTextSpeed', preset: 'contourTextSpeed', control: 'ctrl-contourtextspeed' },
+  { key: 'enableAnimation', preset: 'enableAnimation', control: 'ctrl-enableanim' },
+  { key: 'animationType', preset: 'animationType', control: 'ctrl-animtype' },
+  { key: 'animationSpeed', preset: 'animationSpeed', control: 'ctrl-animspeed' },
+  { key: 'glitch', preset: 'enableGlitch', control: 'ctrl-glitch' },
+  { key: 'glitchType', preset: 'glitchType', control: 'ctrl-glitchtype' },
+  { key: 'glitchIntensity', preset: 'glitchIntensity', control: 'ctrl-glitchamt' },
+  { key: 'glitchSpeed', preset: 'glitchSpeed', control: 'ctrl-glitchspeed' },
+  { key: 'defaultFontSize', preset: 'fontSize', control: 'ctrl-fontsize' },
+  { key: 'textDensity', preset: 'textDensity', control: 'ctrl-textdensity' },
+  { key: 'layout', preset: 'layout', control: 'ctrl-layout' },
+  { key: 'negativeSpace', preset: 'negativeSpace', control: 'ctrl-negativespace' },
+  { key: 'outsideDensity', preset: 'outsideDensity', control: 'ctrl-outsidedensity' },
+  { key: 'wordMode', preset: 'wordMode', control: 'ctrl-wordmode' },
+  { key: 'personMode', preset: 'personMode', control: 'ctrl-personmode' },
+  { key: 'personGroups', preset: 'personGroups', control: 'ctrl-persongroups' },
+  { key: 'colorMode', preset: 'colorMode', control: 'ctrl-colormode' },
+  { key: 'colorTint', preset: 'colorTint', control: 'ctrl-colortint' },
+  { key: 'trailMode', preset: 'trailMode', control: 'ctrl-trailmode' },
+  { key: 'trailDecay', preset: 'trailDecay', control: 'ctrl-traildecay' },
+  { key: 'trailFrames', preset: 'trailFrames', control: 'ctrl-trailframes' },
+  { key: 'trailExposure', preset: 'trailExposure', control: 'ctrl-trailexposure' },
+  { key: 'trailOpacity', preset: 'trailOpacity', control: 'ctrl-trailopacity' },
+  { key: 'trailBlend', preset: 'trailBlend', control: 'ctrl-trailblend' }
+];
+
+// imageSettings in WebcamTextRenderer / preset names
+function getSilhouetteSettings() {
+  const settings = {};
+  IMAGE_PRESET_FIELDS.forEach(field => {
+    settings[field.preset] = imageSettings[field.key];
+  });
+  return settings;
+}
+
+// Current look of the TV renderer (kept in sync with imageSettings)
+function getImagePreset(name) {
+  return tvRenderer.getPreset(name);
+}
+
+function applyImagePreset(preset) {
+  IMAGE_PRESET_FIELDS.forEach(field => {
+    if (preset.settings[field.preset] === undefined) return;
     
-    // Check if iframe is ready
-    if (!iframeWindow.wordsData) {
-      console.log('wordsData not ready in iframe');
-      return;
-    }
+    const value = preset.settings[field.preset];
+    imageSettings[field.key] = value;
     
-    const wordsData = iframeWindow.wordsData || [];
-    displayWordsList(wordsData);
-  } catch (e) {
-    console.log('Could not update words list display:', e.message);
-  }
+    const control = document.getElementById(field.control);
+    if (control.type === 'checkbox') {
+      control.checked = !!value;
+    } else {
+      control.value = value;
+    }
+  });
+  updateAllDisplayedValues();
+  
+  tvRenderer.applyPreset(preset);
+  updateWordsListDisplay();
 }
 
 // Make functions globally accessible for inline onclick handlers
 window.deleteWord = deleteWord;
 window.updateWordProperty = updateWordProperty;
 
-// Update iframe settings - synchronizes all controls with WORD SILHOUETTE iframe
-function updateIframeSettings() {
-  const iframe = document.getElementById('silhouette-iframe');
-  if (!iframe || !iframe.contentWindow) return;
+// Settings that change the text grid layout
+const GRID_SETTING_KEYS = ['fontSize', 'textDensity', 'cellWidthMultiplier', 'layout', 'outsideDensity'];
+
+// Push the video feed controls into the TV renderer
+function updateRendererSettings() {
+  if (!tvRenderer) return;
   
-  try {
-    const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-    
-    // Basic Controls
-    const thresholdEl = iframeDoc.getElementById('threshold');
-    if (thresholdEl) {
-      thresholdEl.value = imageSettings.threshold;
-      thresholdEl.dispatchEvent(new Event('input'));
-    }
-    
-    const invertEl = iframeDoc.getElementById('invertColors');
-    if (invertEl) {
-      invertEl.checked = imageSettings.invert;
-      invertEl.dispatchEvent(new Event('change'));
-    }
-    
-    const flipEl = iframeDoc.getElementById('flipVideo');
-    if (flipEl) {
-      flipEl.checked = imageSettings.flip;
-      flipEl.dispatchEvent(new Event('change'));
-    }
-    
-    const portraitEl = iframeDoc.getElementById('portraitMode');
-    if (portraitEl) {
-      portraitEl.checked = imageSettings.portraitMode;
-      portraitEl.dispatchEvent(new Event('change'));
-    }
-    
-    const cellWidthEl = iframeDoc.getElementById('cellWidthMultiplier');
-    if (cellWidthEl) {
-      cellWidthEl.value = imageSettings.cellWidthMultiplier;
-      cellWidthEl.dispatchEvent(new Event('input'));
-    }
-    
-    // Contour Controls
-    const contourEl = iframeDoc.getElementById('showContour');
-    if (contourEl) {
-      contourEl.checked = imageSettings.contour;
-      contourEl.dispatchEvent(new Event('change'));
-    }
-    
-    const pixelSizeEl = iframeDoc.getElementById('pixelSize');
-    if (pixelSizeEl) {
-      pixelSizeEl.value = imageSettings.pixelSize;
-      pixelSizeEl.dispatchEvent(new Event('input'));
-    }
-    
-    const contourSensEl = iframeDoc.getElementById('contourSensitivity');
-    if (contourSensEl) {
-      contourSensEl.value = imageSettings.contourSensitivity;
-      contourSensEl.dispatchEvent(new Event('input'));
-    }
-    
-    const contourDensityEl = iframeDoc.getElementById('contourDensity');
-    if (contourDensityEl) {
-      contourDensityEl.value = imageSettings.contourDensity;
-      contourDensityEl.dispatchEvent(new Event('input'));
-    }
-    
-    const contourColorEl = iframeDoc.getElementById('contourColor');
-    if (contourColorEl) {
-      contourColorEl.value = imageSettings.contourColor;
-      contourColorEl.dispatchEvent(new Event('input'));
-    }
-    
-    // Animation Controls
-    const enableAnimEl = iframeDoc.getElementById('enableAnimation');
-    if (enableAnimEl) {
-      enableAnimEl.checked = imageSettings.enableAnimation;
-      enableAnimEl.dispatchEvent(new Event('change'));
-    }
-    
-    const animTypeEl = iframeDoc.getElementById('animationType');
-    if (animTypeEl) {
-      animTypeEl.value = imageSettings.animationType;
-      animTypeEl.dispatchEvent(new Event('change'));
-    }
-    
-    const animSpeedEl = iframeDoc.getElementById('animationSpeed');
-    if (animSpeedEl) {
-      animSpeedEl.value = imageSettings.animationSpeed;
-      animSpeedEl.dispatchEvent(new Event('input'));
-    }
-    
-    // Glitch Controls
-    const glitchEl = iframeDoc.getElementById('enableGlitch');
-    if (glitchEl) {
-      glitchEl.checked = imageSettings.glitch;
-      glitchEl.dispatchEvent(new Event('change'));
-    }
-    
-    const glitchTypeEl = iframeDoc.getElementById('glitchType');
-    if (glitchTypeEl) {
-      glitchTypeEl.value = imageSettings.glitchType;
-      glitchTypeEl.dispatchEvent(new Event('change'));
-    }
-    
-    const glitchAmtEl = iframeDoc.getElementById('glitchIntensity');
-    if (glitchAmtEl) {
-      glitchAmtEl.value = imageSettings.glitchIntensity;
-      glitchAmtEl.dispatchEvent(new Event('input'));
-    }
-    
-    const glitchSpeedEl = iframeDoc.getElementById('glitchSpeed');
-    if (glitchSpeedEl) {
-      glitchSpeedEl.value = imageSettings.glitchSpeed;
-      glitchSpeedEl.dispatchEvent(new Event('input'));
-    }
-    
-    // Text/Grid Controls
-    const fontSizeEl = iframeDoc.getElementById('defaultFontSize');
-    if (fontSizeEl) {
-      fontSizeEl.value = imageSettings.defaultFontSize;
-      fontSizeEl.dispatchEvent(new Event('input'));
-    }
-    
-    const textDensityEl = iframeDoc.getElementById('textDensity');
-    if (textDensityEl) {
-      textDensityEl.value = imageSettings.textDensity;
-      textDensityEl.dispatchEvent(new Event('input'));
-    }
-  } catch (e) {
-    // Cross-origin or iframe not ready - silently fail
-    console.log('Could not update iframe settings:', e.message);
+  const settings = getSilhouetteSettings();
+  const gridChanged = GRID_SETTING_KEYS.some(key => tvRenderer.settings[key] !== settings[key]);
+  
+  Object.assign(tvRenderer.settings, settings);
+  
+  if (gridChanged) {
+    tvRenderer.updateGridDimensions();
+    tvRenderer.initializeGrid();
   }
 }
 
@@ -0,0 +1,576 @@
+/**
+ * SilhouetteAnalyzer - Shared thresholding and sampling for every webcam effect
+ * One pass over an ImageData produces everything the renderers draw from:
+ *   brightness - per-pixel brightness (0-255), already flipped to display orientation
+ *   mask       - 1 where the pixel belongs to the silhouette, 0 elsewhere
+ *   edges      - contour edge points { x, y } in pixel coordinates
+ *   contours   - the mask outline as smoothed closed rings (see silhouette-contours.js)
+ *   samples    - normalized { x, y } points inside the mask, evenly thinned
+ *   people     - separate visitors with stable IDs (see silhouette-people.js)
+ *   coverage   - fraction of the frame inside the mask
+ *   motion     - fraction of the frame whose mask changed since the last frame
+ *   sampleColor() - average video color of an area (for per-cell word colors)
+ *   centroid()    - center of mass of the silhouette (radial text layout)
+ *   personAt()    - which visitor a pixel belongs to (per-person words)
+ *
+ * Used by WebcamTextRenderer, WebcamProjection and WORD SILHOUETTE.html so a
+ * threshold or flip tuned in one place behaves the same everywhere.
+ *
+ * Threshold strategies (thresholdMode):
+ *   fixed      - one global threshold (the original behaviour)
+ *   otsu       - global threshold picked automatically every frame
+ *   adaptive   - each pixel against the mean of its surrounding block
+ *   background - difference from a learned empty-room background
+ */
+import { traceContours } from './silhouette-contours.js';
+import { labelComponents, PersonTracker, DEFAULT_PEOPLE_OPTIONS } from './silhouette-people.js';
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+  threshold: 95,
+  polarity: 'dark',          // 'dark' keeps pixels below threshold, 'bright' keeps pixels above
+  flipHorizontal: false,     // Mirror the frame (natural when facing the camera)
+  flipVertical: false,       // Needed on some mobile cameras
+  
+  // Threshold strategy
+  thresholdMode: 'fixed',      // 'fixed', 'otsu', 'adaptive' or 'background'
+  adaptiveBlockSize: 31,       // Neighbourhood size in pixels (adaptive)
+  adaptiveOffset: 7,           // How far below/above the local mean counts (adaptive)
+  backgroundDifference: 30,    // Brightness change from the empty room that counts (background)
+  backgroundAdaptRate: 0.002,  // How fast the room model follows lighting changes (background)
+  
+  // Contour edges
+  edges: false,
+  contourStep: 1,
+  contourSensitivity: 4,
+  
+  // Traced outline (vector rings)
+  contours: false,
+  contourTraceStep: 2,
+  contourTolerance: 1.5,
+  contourSmoothing: 2,
+  
+  // People (connected regions tracked across frames)
+  people: false,
+  personStep: DEFAULT_PEOPLE_OPTIONS.step,
+  minPersonArea: DEFAULT_PEOPLE_OPTIONS.minArea,
+  maxPeople: DEFAULT_PEOPLE_OPTIONS.maxPeople,
+  personMatchDistance: DEFAULT_PEOPLE_OPTIONS.matchDistance,
+  personGraceTime: DEFAULT_PEOPLE_OPTIONS.graceTime,
+  
+  // Motion (mask change between frames)
+  motion: false,
+  motionStep: 4,
+  
+  // Sample points
+  samples: false,
+  sampleStep: 2,
+  maxSamples: 8000
+};
+
+export class SilhouetteAnalyzer {
+  constructor() {
+    this.width = 0;
+    this.height = 0;
+    
+    // Reused between frames to avoid garbage collection
+    this.brightness = null;
+    this.mask = null;
+    
+    // RGBA of the last analyzed frame (source orientation, see sampleColor)
+    this.pixels = null;
+    
+    this.edges = [];
+    this.contours = [];
+    this.samples = [];
+    this.coverage = 0;
+    this.motion = 0;
+    this.previousMask = null;   // Every motionStep-th mask pixel of the last frame
+    
+    // Tracked visitors and the label grid personAt reads
+    this.people = [];
+    this.personGrid = null;
+    this.personTracker = new PersonTracker();
+    this.threshold = DEFAULT_ANALYSIS_OPTIONS.threshold;
+    this.options = { ...DEFAULT_ANALYSIS_OPTIONS };
+    
+    // Adaptive mode scratch buffer
+    this.integral = null;
+    
+    // Learned empty-room model (background mode)
+    this.background = null;
+    this.backgroundKey = '';
+    this.captureRequested = false;
+  }
+  
+  /**
+   * Allocate buffers for a frame size (only when it changes)
+   */
+  ensureBuffers(width, height) {
+    if (this.width === width && this.height === height && this.brightness) return;
+    
+    this.width = width;
+    this.height = height;
+    this.brightness = new Float32Array(width * height);
+    this.mask = new Uint8Array(width * height);
+    this.integral = null;
+    this.previousMask = null;
+  }
+  
+  /**
+   * Analyze one frame
+   * @param {ImageData|{data, width, height}} imageData - RGBA pixels
+   * @param {Object} options - see DEFAULT_ANALYSIS_OPTIONS
+   * @returns {SilhouetteAnalyzer} this, with fresh brightness/mask/edges/samples
+   */
+  analyze(imageData, options = {}) {
+    const o = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+    const { data, width, height } = imageData;
+    this.options = o;
+    
+    this.ensureBuffers(width, height);
+    this.pixels = data;
+    this.computeBrightness(data, o.flipHorizontal, o.flipVertical);
+    
+    switch (o.thresholdMode) {
+      case 'otsu':
+        this.threshold = this.computeOtsuThreshold();
+        this.computeMask(this.threshold, o.polarity);
+        break;
+      
+      case 'adaptive':
+        this.threshold = o.threshold;
+        this.computeAdaptiveMask(o.adaptiveBlockSize, o.adaptiveOffset, o.polarity);
+        break;
+      
+      case 'background':
+        this.threshold = o.threshold;
+        this.computeBackgroundMask(o);
+        break;
+      
+      default:
+        this.threshold = o.threshold;
+        this.computeMask(this.threshold, o.polarity);
+    }
+    
+    this.edges = o.edges ? this.detectEdges(o.contourStep, o.contourSensitivity) : [];
+    this.contours = o.contours ? traceContours(this.mask, this.width, this.height, {
+      step: o.contourTraceStep,
+      tolerance: o.contourTolerance,
+      smoothing: o.contourSmoothing
+    }) : [];
+    this.samples = o.samples ? this.collectSamples(o.sampleStep, o.maxSamples) : [];
+    
+    this.motion = o.motion ? this.measureMotion(o.motionStep) : 0;
+    
+    if (o.people) {
+      this.trackPeople(o);
+    } else if (this.personGrid) {
+      this.people = [];
+      this.personGrid = null;
+      this.personTracker.reset();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Brightness field in display orientation (flips applied once, here)
+   */
+  computeBrightness(data, flipH, flipV) {
+    const width = this.width;
+    const height = this.height;
+    const brightness = this.brightness;
+    
+    for (let y = 0; y < height; y++) {
+      const srcY = flipV ? (height - 1 - y) : y;
+      const srcRow = srcY * width;
+      const destRow = y * width;
+      
+      for (let x = 0; x < width; x++) {
+        const srcX = flipH ? (width - 1 - x) : x;
+        const idx = (srcRow + srcX) << 2;
+        brightness[destRow + x] = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+      }
+    }
+  }
+  
+  /**
+   * Binary silhouette mask and the fraction of the frame it covers
+   */
+  computeMask(threshold, polarity) {
+    const brightness = this.brightness;
+    const mask = this.mask;
+    const keepBright = polarity === 'bright';
+    let count = 0;
+    
+    for (let i = 0; i < brightness.length; i++) {
+      const inside = keepBright ? brightness[i] > threshold : brightness[i] < threshold;
+      mask[i] = inside ? 1 : 0;
+      count += mask[i];
+    }
+    
+    this.coverage = brightness.length > 0 ? count / brightness.length : 0;
+  }
+  
+  /**
+   * Otsu's method: the threshold that best splits the frame's brightness
+   * histogram into two classes (maximum between-class variance)
+   */
+  computeOtsuThreshold() {
+    const brightness = this.brightness;
+    const histogram = new Uint32Array(256);
+    
+    for (let i = 0; i < brightness.length; i++) {
+      histogram[brightness[i] | 0]++;
+    }
+    
+    const total = brightness.length;
+    let sumAll = 0;
+    for (let level = 0; level < 256; level++) {
+      sumAll += level * histogram[level];
+    }
+    
+    let sumBelow = 0;
+    let countBelow = 0;
+    let bestVariance = -1;
+    let bestThreshold = this.options.threshold;
+    
+    for (let level = 0; level < 256; level++) {
+      countBelow += histogram[level];
+      if (countBelow === 0) continue;
+      
+      const countAbove = total - countBelow;
+      if (countAbove === 0) break;
+      
+      sumBelow += level * histogram[level];
+      const meanBelow = sumBelow / countBelow;
+      const meanAbove = (sumAll - sumBelow) / countAbove;
+      const variance = countBelow * countAbove * (meanBelow - meanAbove) * (meanBelow - meanAbove);
+      
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        bestThreshold = level + 0.5;
+      }
+    }
+    
+    return bestThreshold;
+  }
+  
+  /**
+   * Local adaptive threshold: compare every pixel with the mean brightness of
+   * the block around it (summed-area table keeps this O(pixels))
+   */
+  computeAdaptiveMask(blockSize, offset, polarity) {
+    const width = this.width;
+    const height = this.height;
+    const brightness = this.brightness;
+    const mask = this.mask;
+    const keepBright = polarity === 'bright';
+    const stride = width + 1;
+    
+    if (!this.integral) {
+      this.integral = new Float64Array(stride * (height + 1));
+    }
+    const integral = this.integral;
+    
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += brightness[y * width + x];
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+      }
+    }
+    
+    const half = Math.max(1, Math.floor(blockSize / 2));
+    let count = 0;
+    
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height, y + half + 1);
+      
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width, x + half + 1);
+        const area = (x1 - x0) * (y1 - y0);
+        const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+        const mean = sum / area;
+        const i = y * width + x;
+        
+        const inside = keepBright ? brightness[i] > mean + offset : brightness[i] < mean - offset;
+        mask[i] = inside ? 1 : 0;
+        count += mask[i];
+      }
+    }
+    
+    this.coverage = count / brightness.length;
+  }
+  
+  /**
+   * Background subtraction: anything that differs enough from the empty room
+   * is the visitor, whatever its brightness. The model is captured with
+   * captureBackground() (or from the first frame) and then slowly follows
+   * lighting changes in pixels that are not currently foreground.
+   */
+  computeBackgroundMask(o) {
+    const brightness = this.brightness;
+    const mask = this.mask;
+    
+    // Orientation or size changes invalidate the stored room
+    const key = `${this.width}x${this.height}|${o.flipHorizontal}|${o.flipVertical}`;
+    if (!this.background || this.captureRequested || key !== this.backgroundKey) {
+      this.background = Float32Array.from(brightness);
+      this.backgroundKey = key;
+      this.captureRequested = false;
+      console.log('🏠 Background captured');
+    }
+    
+    const background = this.background;
+    const difference = o.backgroundDifference;
+    const rate = o.backgroundAdaptRate;
+    let count = 0;
+    
+    for (let i = 0; i < brightness.length; i++) {
+      const inside = Math.abs(brightness[i] - background[i]) > difference;
+      mask[i] = inside ? 1 : 0;
+      count += mask[i];
+      
+      if (!inside) {
+        background[i] += (brightness[i] - background[i]) * rate;
+      }
+    }
+    
+    this.coverage = count / brightness.length;
+  }
+  
+  /**
+   * Learn the empty room from the next analyzed frame (background mode)
+   */
+  captureBackground() {
+    this.captureRequested = true;
+  }
+  
+  /**
+   * Forget the learned room - the next background-mode frame recaptures it
+   */
+  resetBackground() {
+    this.background = null;
+  }
+  
+  /**
+   * Edge points: brightness jumps against the right/lower neighbour inside the mask
+   */
+  detectEdges(step, sensitivity) {
+    const edges = [];
+    const width = this.width;
+    const height = this.height;
+    const brightness = this.brightness;
+    const mask = this.mask;
+    step = Math.max(1, Math.floor(step));
+    
+    for (let y = step; y < height - step; y += step) {
+      for (let x = step; x < width - step; x += step) {
+        const i = y * width + x;
+        if (!mask[i]) continue;
+        
+        const diffH = Math.abs(brightness[i] - brightness[i + step]);
+        const diffV = Math.abs(brightness[i] - brightness[i + step * width]);
+        
+        if (diffH > sensitivity || diffV > sensitivity) {
+          edges.push({ x, y });
+        }
+      }
+    }
+    
+    return edges;
+  }
+  
+  /**
+   * Normalized points inside the mask, thinned evenly to maxSamples
+   */
+  collectSamples(step, maxSamples) {
+    const positions = [];
+    const width = this.width;
+    const height = this.height;
+    const mask = this.mask;
+    const invWidth = 1 / width;
+    const invHeight = 1 / height;
+    step = Math.max(1, Math.floor(step));
+    
+    for (let y = 0; y < height; y += step) {
+      const row = y * width;
+      for (let x = 0; x < width; x += step) {
+        if (mask[row + x]) {
+          positions.push({ x: x * invWidth, y: y * invHeight });
+        }
+      }
+    }
+    
+    // Downsample evenly so the whole frame stays represented (no bottom cropping)
+    if (positions.length > maxSamples) {
+      const ratio = positions.length / maxSamples;
+      const sampled = [];
+      for (let i = 0; i < maxSamples; i++) {
+        sampled.push(positions[Math.floor(i * ratio)]);
+      }
+      return sampled;
+    }
+    
+    return positions;
+  }
+  
+  /**
+   * Fraction of sampled mask pixels that flipped since the last frame (0 on the first)
+   */
+  measureMotion(step) {
+    step = Math.max(1, Math.floor(step));
+    const columns = Math.ceil(this.width / step);
+    const rows = Math.ceil(this.height / step);
+    const first = !this.previousMask || this.previousMask.length !== columns * rows;
+    if (first) this.previousMask = new Uint8Array(columns * rows);
+    
+    const previous = this.previousMask;
+    let changed = 0;
+    let i = 0;
+    for (let y = 0; y < this.height; y += step) {
+      const row = y * this.width;
+      for (let x = 0; x < this.width; x += step, i++) {
+        const value = this.mask[row + x];
+        if (value !== previous[i]) changed++;
+        previous[i] = value;
+      }
+    }
+    
+    return first ? 0 : changed / previous.length;
+  }
+  
+  /**
+   * Split the mask into people: the largest regions, matched to last frame's
+   */
+  trackPeople(o) {
+    const { labels, columns, rows, components } = labelComponents(this.mask, this.width, this.height, o.personStep);
+    const kept = components
+      .filter(component => component.area >= o.minPersonArea)
+      .sort((a, b) => b.area - a.area)
+      .slice(0, o.maxPeople);
+    
+    this.people = this.personTracker.update(kept, o.personMatchDistance * Math.hypot(this.width, this.height), o.personGraceTime);
+    
+    // Region label -> person (null for regions too small to count)
+    const byLabel = new Array(components.length + 1).fill(null);
+    this.people.forEach(person => { byLabel[person.label] = person; });
+    this.personGrid = { labels, byLabel, columns, rows, step: Math.max(1, Math.floor(o.personStep)) };
+  }
+  
+  /**
+   * The person at a pixel (display coordinates), null for nobody
+   * Inside the mask but between label samples, the nearest person counts.
+   * @returns {{id, slot, x, y, width, height, centerX, centerY, area}|null}
+   */
+  personAt(x, y) {
+    if (!this.personGrid || this.people.length === 0) return null;
+    
+    const grid = this.personGrid;
+    const column = Math.max(0, Math.min(grid.columns - 1, Math.floor(x / grid.step)));
+    const row = Math.max(0, Math.min(grid.rows - 1, Math.floor(y / grid.step)));
+    const person = grid.byLabel[grid.labels[row * grid.columns + column]];
+    if (person) return person;
+    if (!this.isInside(x, y)) return null;
+    
+    let nearest = this.people[0];
+    let nearestDistance = Infinity;
+    for (const person of this.people) {
+      const distance = Math.hypot(person.centerX - x, person.centerY - y);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = person;
+      }
+    }
+    return nearest;
+  }
+  
+  /**
+   * Whether a pixel (display coordinates) is inside the silhouette
+   */
+  isInside(x, y) {
+    if (!this.mask) return false;
+    x = Math.max(0, Math.min(this.width - 1, Math.floor(x)));
+    y = Math.max(0, Math.min(this.height - 1, Math.floor(y)));
+    return this.mask[y * this.width + x] === 1;
+  }
+  
+  /**
+   * Average color of a rectangle (display coordinates) in the last frame
+   * Every `step`-th pixel is read, so whole text cells stay cheap to sample.
+   * @returns {{r, g, b, brightness}|null} null before the first frame
+   */
+  sampleColor(x, y, width, height, step = 4) {
+    if (!this.pixels) return null;
+    
+    const data = this.pixels;
+    const { flipHorizontal, flipVertical } = this.options;
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(this.width, Math.ceil(x + width));
+    const y1 = Math.min(this.height, Math.ceil(y + height));
+    step = Math.max(1, Math.floor(step));
+    
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    
+    for (let py = y0; py < y1; py += step) {
+      const srcRow = (flipVertical ? this.height - 1 - py : py) * this.width;
+      for (let px = x0; px < x1; px += step) {
+        const idx = (srcRow + (flipHorizontal ? this.width - 1 - px : px)) << 2;
+        r += data[idx];
+        g += data[idx + 1];
+        b += data[idx + 2];
+        count++;
+      }
+    }
+    
+    if (count === 0) return null;
+    r /= count;
+    g /= count;
+    b /= count;
+    return { r, g, b, brightness: (r + g + b) / 3 };
+  }
+  
+  /**
+   * Center of mass of the mask (display coordinates), reading every `step`-th pixel
+   * @returns {{x, y}|null} null when nothing is inside the silhouette
+   */
+  centroid(step = 4) {
+    if (!this.mask) return null;
+    
+    const mask = this.mask;
+    step = Math.max(1, Math.floor(step));
+    let sumX = 0;
+    let sumY = 0;
+    let count = 0;
+    
+    for (let y = 0; y < this.height; y += step) {
+      const row = y * this.width;
+      for (let x = 0; x < this.width; x += step) {
+        if (mask[row + x]) {
+          sumX += x;
+          sumY += y;
+          count++;
+        }
+      }
+    }
+    
+    return count > 0 ? { x: sumX / count, y: sumY / count } : null;
+  }
+  
+  /**
+   * Brightness at a pixel (display coordinates), -1 before the first frame
+   */
+  getBrightness(x, y) {
+    if (!this.brightness) return -1;
+    x = Math.max(0, Math.min(this.width - 1, Math.floor(x)));
+    y = Math.max(0, Math.min(this.height - 1, Math.floor(y)));
+    return this.brightness[y * this.width + x];
+  }
+}
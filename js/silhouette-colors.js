@@ -0,0 +1,122 @@
+/**
+ * Silhouette colors - per-cell word colors from the video
+ * Used by WebcamTextRenderer (both text backends) and the SVG / print export.
+ *
+ * Color modes (settings.colorMode):
+ *   word     - each word keeps its own color (the original look)
+ *   sample   - the word tinted by the video color in its cell
+ *   gradient - cell brightness mapped along settings.colorGradient (dark to bright)
+ *   palette  - the sampled color snapped to the nearest settings.colorPalette entry
+ */
+
+export const COLOR_MODES = ['word', 'sample', 'gradient', 'palette'];
+
+// Acrylic panel colors (CONFIG.colors in scene.js and installation-scene.js)
+export const PANEL_COLORS = ['#FDFF00', '#FF0505', '#11FF00', '#2600FF'];
+
+const parsedColors = new Map();
+
+/**
+ * '#RRGGBB', '#RGB' or a 0xRRGGBB number as [r, g, b]
+ */
+export function parseColor(color) {
+  if (parsedColors.has(color)) return parsedColors.get(color);
+  
+  let value = 0xFFFFFF;
+  if (typeof color === 'number') {
+    value = color;
+  } else if (typeof color === 'string') {
+    let hex = color.replace(/^#/, '');
+    if (hex.length === 3) hex = hex.split('').map(char => char + char).join('');
+    const parsed = parseInt(hex, 16);
+    if (!Number.isNaN(parsed)) value = parsed;
+  }
+  
+  const rgb = [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+  parsedColors.set(color, rgb);
+  return rgb;
+}
+
+export function toHexColor(rgb) {
+  return '#' + rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+export function mixColors(a, b, amount) {
+  return [
+    a[0] + (b[0] - a[0]) * amount,
+    a[1] + (b[1] - a[1]) * amount,
+    a[2] + (b[2] - a[2]) * amount
+  ];
+}
+
+/**
+ * Color at t (0-1) along evenly spaced gradient stops
+ */
+export function sampleGradient(stops, t) {
+  if (stops.length === 0) return [255, 255, 255];
+  if (stops.length === 1) return parseColor(stops[0]);
+  
+  const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  return mixColors(parseColor(stops[index]), parseColor(stops[index + 1]), position - index);
+}
+
+/**
+ * Scale a color up to full value (brightest channel at 255)
+ * Video colors inside a dark silhouette are dim; on black they would not read
+ */
+function brighten(rgb) {
+  const max = Math.max(rgb[0], rgb[1], rgb[2]);
+  if (max === 0) return [255, 255, 255];
+  const scale = 255 / max;
+  return [rgb[0] * scale, rgb[1] * scale, rgb[2] * scale];
+}
+
+/**
+ * Palette entry closest in hue to a color (both brightened first, so a navy
+ * jumper still finds the blue panel instead of whichever color is darkest)
+ */
+export function nearestColor(rgb, palette) {
+  const target = brighten(rgb);
+  let best = palette[0];
+  let bestDistance = Infinity;
+  
+  for (const color of palette) {
+    const candidate = brighten(parseColor(color));
+    const dr = candidate[0] - target[0];
+    const dg = candidate[1] - target[1];
+    const db = candidate[2] - target[2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = color;
+    }
+  }
+  
+  return parseColor(best);
+}
+
+/**
+ * Color for one cell, or null when the word keeps its own color
+ * @param {Object} word - { color, ... }
+ * @param {{r, g, b, brightness}} sample - average video color in the cell
+ * @param {Object} settings - colorMode, colorTint, colorGradient, colorPalette
+ * @returns {number[]|null} [r, g, b]
+ */
+export function resolveCellColor(word, sample, settings) {
+  if (!sample) return null;
+  
+  switch (settings.colorMode) {
+    case 'sample':
+      return mixColors(parseColor(word.color), brighten([sample.r, sample.g, sample.b]), settings.colorTint);
+    
+    case 'gradient':
+      return sampleGradient(settings.colorGradient, sample.brightness / 255);
+    
+    case 'palette':
+      return nearestColor([sample.r, sample.g, sample.b], settings.colorPalette);
+    
+    default:
+      return null;
+  }
+}
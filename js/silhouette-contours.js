@@ -0,0 +1,356 @@
+/**
+ * Silhouette contours - the outline of the threshold mask as vector paths
+ * Marching squares traces the mask into closed, ordered rings; each ring is
+ * then simplified (Ramer-Douglas-Peucker, drops the pixel staircase) and
+ * smoothed (Chaikin corner cutting). Rings run with the silhouette on their
+ * right, so text laid along them stands on the outline facing outward.
+ *
+ * Used by SilhouetteAnalyzer (analysis.contours), the WebcamTextRenderer
+ * contour styles ('lines', 'text') and the SVG / print export.
+ */
+
+export const DEFAULT_CONTOUR_OPTIONS = {
+  step: 2,          // Mask sampling step in pixels (1 = every pixel)
+  tolerance: 1.5,   // Simplification tolerance in pixels (0 = off)
+  smoothing: 2,     // Chaikin passes (0 = keep corners)
+  minLength: 24     // Rings shorter than this (in pixels) are noise
+};
+
+/**
+ * Trace the outline of a mask
+ * @param {Uint8Array} mask - 1 inside, 0 outside (row-major)
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options - see DEFAULT_CONTOUR_OPTIONS
+ * @returns {Array<Array<{x, y}>>} closed rings (first point not repeated)
+ */
+export function traceContours(mask, width, height, options = {}) {
+  const o = { ...DEFAULT_CONTOUR_OPTIONS, ...options };
+  const step = Math.max(1, Math.floor(o.step));
+  const rings = [];
+  
+  for (const ring of traceRings(mask, width, height, step)) {
+    if (ringLength(ring) < o.minLength) continue;
+    
+    let points = o.tolerance > 0 ? simplifyRing(ring, o.tolerance) : ring;
+    for (let i = 0; i < o.smoothing; i++) {
+      points = smoothRing(points);
+    }
+    
+    // Keep the outline on the canvas (the padding puts border rings half a step outside)
+    for (const point of points) {
+      point.x = Math.max(0, Math.min(width - 1, point.x));
+      point.y = Math.max(0, Math.min(height - 1, point.y));
+    }
+    
+    if (points.length >= 3) rings.push(points);
+  }
+  
+  return rings;
+}
+
+/**
+ * Marching squares over a `step` grid padded with empty samples (so rings
+ * touching the frame edge still close). Every crossing is a vertex on a grid
+ * edge; segments are directed with the inside on their right, so each vertex
+ * has exactly one successor and rings are followed without searching.
+ */
+function traceRings(mask, width, height, step) {
+  const columns = Math.ceil(width / step);
+  const rows = Math.ceil(height / step);
+  const gridWidth = columns + 2;
+  
+  // Padded sample (i, j) is mask pixel ((i - 1) * step, (j - 1) * step)
+  const sample = (i, j) => {
+    if (i < 1 || j < 1 || i > columns || j > rows) return 0;
+    return mask[(j - 1) * step * width + (i - 1) * step] ? 1 : 0;
+  };
+  
+  // Vertex ids: horizontal edge (i, j)-(i+1, j) = even, vertical edge (i, j)-(i, j+1) = odd
+  const horizontal = (i, j) => (j * gridWidth + i) * 2;
+  const vertical = (i, j) => (j * gridWidth + i) * 2 + 1;
+  const position = (id) => {
+    const cell = id >> 1;
+    const i = cell % gridWidth;
+    const j = Math.floor(cell / gridWidth);
+    return (id & 1)
+      ? { x: (i - 1) * step, y: (j - 0.5) * step }
+      : { x: (i - 0.5) * step, y: (j - 1) * step };
+  };
+  
+  const next = new Map();
+  
+  for (let j = 0; j <= rows; j++) {
+    for (let i = 0; i <= columns; i++) {
+      const a = sample(i, j);           // top left
+      const b = sample(i + 1, j);       // top right
+      const c = sample(i + 1, j + 1);   // bottom right
+      const d = sample(i, j + 1);       // bottom left
+      const index = a * 8 + b * 4 + c * 2 + d;
+      if (index === 0 || index === 15) continue;
+      
+      const top = horizontal(i, j);
+      const bottom = horizontal(i, j + 1);
+      const left = vertical(i, j);
+      const right = vertical(i + 1, j);
+      
+      // Each segment: two edges and a corner on one side of it (and whether that corner is inside)
+      const segments = [];
+      switch (index) {
+        case 1: case 14: segments.push([bottom, left, i, j + 1, d]); break;
+        case 2: case 13: segments.push([right, bottom, i + 1, j + 1, c]); break;
+        case 4: case 11: segments.push([top, right, i + 1, j, b]); break;
+        case 8: case 7: segments.push([left, top, i, j, a]); break;
+        case 3: case 12: segments.push([left, right, i, j, a]); break;
+        case 6: case 9: segments.push([top, bottom, i, j, a]); break;
+        case 5: case 10: {
+          // Saddle: the cell center decides whether the inside corners connect
+          const centerX = Math.min(width - 1, Math.max(0, Math.round((i - 0.5) * step)));
+          const centerY = Math.min(height - 1, Math.max(0, Math.round((j - 0.5) * step)));
+          const center = mask[centerY * width + centerX] ? 1 : 0;
+          const cutInside = center === 0;
+          // Cut off corners a and c (case 10 inside) or b and d (case 5 inside)
+          const cutAC = (index === 10) === cutInside;
+          if (cutAC) {
+            segments.push([left, top, i, j, a]);
+            segments.push([right, bottom, i + 1, j + 1, c]);
+          } else {
+            segments.push([top, right, i + 1, j, b]);
+            segments.push([bottom, left, i, j + 1, d]);
+          }
+          break;
+        }
+      }
+      
+      for (const [from, to, cornerI, cornerJ, inside] of segments) {
+        const p = position(from);
+        const q = position(to);
+        const rx = (cornerI - 1) * step - p.x;
+        const ry = (cornerJ - 1) * step - p.y;
+        const cross = (q.x - p.x) * ry - (q.y - p.y) * rx;
+        // cross > 0: the corner is on the right of p -> q (y points down)
+        if ((cross > 0) === (inside === 1)) {
+          next.set(from, to);
+        } else {
+          next.set(to, from);
+        }
+      }
+    }
+  }
+  
+  // Follow successors until each ring closes
+  const rings = [];
+  for (const start of next.keys()) {
+    if (!next.has(start)) continue;
+    
+    const ring = [];
+    let id = start;
+    while (next.has(id)) {
+      ring.push(position(id));
+      const following = next.get(id);
+      next.delete(id);
+      id = following;
+    }
+    if (ring.length >= 3) rings.push(ring);
+  }
+  
+  return rings;
+}
+
+/**
+ * Perimeter of a closed ring
+ */
+export function ringLength(points) {
+  let length = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    length += Math.hypot(q.x - p.x, q.y - p.y);
+  }
+  return length;
+}
+
+/**
+ * Ramer-Douglas-Peucker on a closed ring: split at the point farthest from
+ * the first one and simplify both halves
+ */
+export function simplifyRing(points, tolerance) {
+  if (points.length < 4) return points.slice();
+  
+  let far = 0;
+  let farDistance = -1;
+  for (let i = 1; i < points.length; i++) {
+    const distance = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+    if (distance > farDistance) {
+      farDistance = distance;
+      far = i;
+    }
+  }
+  
+  const first = simplifyLine(points.slice(0, far + 1), tolerance);
+  const second = simplifyLine(points.slice(far).concat([points[0]]), tolerance);
+  return first.slice(0, -1).concat(second.slice(0, -1));
+}
+
+/**
+ * Ramer-Douglas-Peucker on an open polyline (ends are kept)
+ */
+function simplifyLine(points, tolerance) {
+  if (points.length < 3) return points;
+  
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    const a = points[start];
+    const b = points[end];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const span = Math.hypot(dx, dy) || 1;
+    
+    let index = -1;
+    let maxDistance = tolerance;
+    for (let i = start + 1; i < end; i++) {
+      const distance = Math.abs(dy * (points[i].x - a.x) - dx * (points[i].y - a.y)) / span;
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    
+    if (index !== -1) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+  
+  return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * One pass of Chaikin corner cutting on a closed ring
+ */
+export function smoothRing(points) {
+  const smoothed = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    smoothed.push(
+      { x: p.x * 0.75 + q.x * 0.25, y: p.y * 0.75 + q.y * 0.25 },
+      { x: p.x * 0.25 + q.x * 0.75, y: p.y * 0.25 + q.y * 0.75 }
+    );
+  }
+  return smoothed;
+}
+
+/**
+ * SVG path data for rings ("M x y L ... Z" per ring)
+ */
+export function ringsToPathData(rings, round = value => Math.round(value * 100) / 100) {
+  return rings.map(ring => {
+    const [first, ...rest] = ring;
+    return `M${round(first.x)} ${round(first.y)}` + rest.map(point => `L${round(point.x)} ${round(point.y)}`).join('') + 'Z';
+  }).join('');
+}
+
+/**
+ * Index of the segment holding a distance along the ring (binary search)
+ */
+function segmentAt(lengths, distance) {
+  let low = 0;
+  let high = lengths.length - 2;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (lengths[middle] <= distance) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Flow words along a ring as separate glyphs (text-on-path)
+ * Words repeat in order, a space apart, until the ring is full.
+ * @param {Array<{x, y}>} ring - closed ring
+ * @param {Array} words - { text, font, size, ... }
+ * @param {Function} measure - (text, font) => width in pixels
+ * @param {number} offset - distance along the ring where the text starts (animate it to make the words flow)
+ * @returns {Array<{text, x, y, angle, wordIndex, run}>} glyph centers on the ring, angle in
+ *   radians; spaces are glyphs too and `run` counts the words placed so far
+ */
+export function layoutTextOnRing(ring, words, measure, offset = 0) {
+  const glyphs = [];
+  if (words.length === 0 || ring.length < 2) return glyphs;
+  
+  // Cumulative length at each vertex (closing segment included)
+  const lengths = [0];
+  for (let i = 0; i < ring.length; i++) {
+    const p = ring[i];
+    const q = ring[(i + 1) % ring.length];
+    lengths.push(lengths[i] + Math.hypot(q.x - p.x, q.y - p.y));
+  }
+  const total = lengths[ring.length];
+  if (total <= 0) return glyphs;
+  
+  const shift = ((offset % total) + total) % total;
+  let distance = 0;
+  let wordIndex = 0;
+  let run = 0;
+  
+  while (distance < total) {
+    const word = words[wordIndex];
+    const font = `${word.size}px ${word.font}`;
+    
+    for (const char of word.text + ' ') {
+      // At least a pixel per glyph so the ring always fills up
+      const width = Math.max(1, measure(char, font));
+      const center = distance + width / 2;
+      if (center >= total) {
+        distance = total;
+        break;
+      }
+      
+      const along = (center + shift) % total;
+      const segment = segmentAt(lengths, along);
+      const p = ring[segment];
+      const q = ring[(segment + 1) % ring.length];
+      const t = (along - lengths[segment]) / (lengths[segment + 1] - lengths[segment] || 1);
+      
+      glyphs.push({
+        text: char,
+        x: p.x + (q.x - p.x) * t,
+        y: p.y + (q.y - p.y) * t,
+        angle: Math.atan2(q.y - p.y, q.x - p.x),
+        wordIndex,
+        run
+      });
+      distance += width;
+    }
+    
+    wordIndex = (wordIndex + 1) % words.length;
+    run++;
+  }
+  
+  return glyphs;
+}
+
+/**
+ * Group glyphs back into words ({ wordIndex, text } per run), e.g. for an SVG <textPath>
+ */
+export function glyphRuns(glyphs) {
+  const runs = [];
+  let last = null;
+  for (const glyph of glyphs) {
+    if (!last || last.run !== glyph.run) {
+      last = { run: glyph.run, wordIndex: glyph.wordIndex, text: '' };
+      runs.push(last);
+    }
+    last.text += glyph.text;
+  }
+  return runs.map(({ wordIndex, text }) => ({ wordIndex, text }));
+}
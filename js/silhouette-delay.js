@@ -0,0 +1,148 @@
+/**
+ * Silhouette delay - a ring buffer of analyzed masks for replaying the
+ * silhouette from a few seconds ago (the right wall's "past self")
+ *
+ * Masks are packed to one bit per pixel. The buffer holds as many frames as
+ * fit in maxMemory; when that is fewer than the delay needs at full frame
+ * rate, frames are kept further apart so the buffer still spans the delay.
+ * Used by WebcamProjection (settings.delay).
+ */
+import { thinPoints } from './silhouette-trails.js';
+
+export const DEFAULT_DELAY_OPTIONS = {
+  delay: 0,          // Seconds behind live (0 = live)
+  maxMemory: 8,      // Buffer limit in MB
+  maxFps: 30,        // Most frames per second worth keeping
+  crossfade: 1       // Seconds to blend between live and delayed (WebcamProjection)
+};
+
+export class MaskDelayBuffer {
+  /**
+   * @param {Object} options - see DEFAULT_DELAY_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_DELAY_OPTIONS, ...options };
+    this.slots = [];
+    this.width = 0;
+    this.height = 0;
+    this.reset();
+  }
+  
+  setOptions(options) {
+    Object.assign(this.options, options);
+  }
+  
+  reset() {
+    this.head = 0;          // Next slot to write
+    this.count = 0;
+    this.lastPush = -Infinity;
+  }
+  
+  /**
+   * Frames the buffer holds for this mask size and the current delay and memory limit
+   * 0 when not even two frames (the fewest a delay needs) fit in maxMemory
+   */
+  getCapacity(width, height) {
+    const o = this.options;
+    const frameBytes = Math.ceil(width * height / 8);
+    const fit = Math.floor(o.maxMemory * 1024 * 1024 / frameBytes);
+    if (fit < 2) return 0;
+    
+    const needed = Math.ceil(o.delay * o.maxFps) + 1;
+    return Math.min(fit, Math.max(2, needed));
+  }
+  
+  /**
+   * Bytes held by the buffer
+   */
+  getByteLength() {
+    return this.slots.reduce((sum, slot) => sum + slot.bits.byteLength, 0);
+  }
+  
+  /**
+   * Keep a mask if one is due (frames are spread evenly over the delay)
+   * @param {Uint8Array} mask - 1 inside, 0 outside (row-major)
+   */
+  push(mask, width, height, now = performance.now()) {
+    const capacity = this.getCapacity(width, height);
+    if (width !== this.width || height !== this.height || capacity !== this.slots.length) {
+      const bytes = Math.ceil(width * height / 8);
+      this.slots = Array.from({ length: capacity }, () => ({ time: 0, bits: new Uint8Array(bytes) }));
+      this.width = width;
+      this.height = height;
+      this.reset();
+      if (capacity === 0) {
+        console.warn(`⚠️ Delay off: ${width}x${height} masks don't fit twice in ${this.options.maxMemory} MB`);
+      } else {
+        console.log(`⏳ Delay buffer: ${capacity} frames, ${(this.getByteLength() / 1048576).toFixed(1)} MB`);
+      }
+    }
+    // Refused (see getCapacity): nothing is kept, so the wall stays live
+    if (capacity === 0) return false;
+    
+    const interval = this.options.delay * 1000 / (capacity - 1);
+    if (now - this.lastPush < interval) return false;
+    this.lastPush = now;
+    
+    const slot = this.slots[this.head];
+    const bits = slot.bits;
+    bits.fill(0);
+    for (let i = 0; i < width * height; i++) {
+      if (mask[i]) bits[i >> 3] |= 1 << (i & 7);
+    }
+    slot.time = now;
+    
+    this.head = (this.head + 1) % capacity;
+    this.count = Math.min(this.count + 1, capacity);
+    return true;
+  }
+  
+  /**
+   * The newest kept frame at least `delay` seconds old, or null while the
+   * buffer doesn't reach back that far yet
+   * @returns {{time: number, bits: Uint8Array}|null}
+   */
+  getFrame(now = performance.now()) {
+    const target = now - this.options.delay * 1000;
+    const capacity = this.slots.length;
+    
+    // Newest to oldest
+    for (let n = 1; n <= this.count; n++) {
+      const slot = this.slots[(this.head - n + capacity) % capacity];
+      if (slot.time <= target) return slot;
+    }
+    return null;
+  }
+  
+  /**
+   * Unpack a frame into a mask (reused between calls when `mask` is given)
+   */
+  unpack(frame, mask = new Uint8Array(this.width * this.height)) {
+    const bits = frame.bits;
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = (bits[i >> 3] >> (i & 7)) & 1;
+    }
+    return mask;
+  }
+  
+  /**
+   * Normalized { x, y } points inside a frame's mask, every `step` pixels,
+   * thinned evenly to maxSamples (like SilhouetteAnalyzer samples)
+   */
+  samples(frame, step, maxSamples) {
+    const positions = [];
+    const { width, height } = this;
+    step = Math.max(1, Math.floor(step));
+    
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        const i = y * width + x;
+        if ((frame.bits[i >> 3] >> (i & 7)) & 1) {
+          positions.push({ x: x / width, y: y / height });
+        }
+      }
+    }
+    
+    return thinPoints(positions, maxSamples);
+  }
+}
@@ -0,0 +1,385 @@
+/**
+ * Silhouette export - vector SVG and high-DPI print PNG
+ * Both work from an export frame (see WebcamTextRenderer.getExportFrame):
+ * the visible word cells and traced contour of the current silhouette, in
+ * canvas pixels. Animation and glitch are left out so prints stay legible.
+ */
+import { ringsToPathData } from './silhouette-contours.js';
+
+// Paper sizes in millimetres (portrait)
+export const PRINT_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  A2: { width: 420, height: 594 },
+  A1: { width: 594, height: 841 },
+  Letter: { width: 215.9, height: 279.4 },
+  Tabloid: { width: 279.4, height: 431.8 }
+};
+
+// Print resolutions offered by the panel; other values are clamped into this range
+export const PRINT_DPIS = [150, 300, 600];
+
+// Longest side a custom print size may have (A1)
+const MAX_PRINT_MM = 841;
+
+const MM_PER_INCH = 25.4;
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Round to 2 decimals to keep the SVG small
+ */
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * SVG transform for a turned or scaled cell (radial and halftone layouts)
+ */
+function cellTransform(transform) {
+  const degrees = num(transform.rotation * 180 / Math.PI);
+  return ` transform="translate(${num(transform.x)} ${num(transform.y)}) rotate(${degrees}) scale(${num(transform.scale)})"`;
+}
+
+/**
+ * Traced outline as SVG: one stroked path, or (contourStyle 'text') a path
+ * per ring with the words running along it in a <textPath>
+ */
+function contourSVG(frame) {
+  if (frame.contourStyle !== 'text') {
+    const d = ringsToPathData(frame.contours, num);
+    return [`  <path id="contour" fill="none" stroke="${escapeXML(frame.contourColor)}" stroke-width="${num(frame.pixelSize)}" stroke-linejoin="round" d="${d}"/>`];
+  }
+  
+  const lines = ['  <g id="contour">'];
+  frame.contours.forEach((ring, i) => {
+    const spans = frame.contourText[i].map(run => {
+      const word = frame.words[run.wordIndex];
+      return `<tspan fill="${escapeXML(word.color)}" font-family="${escapeXML(word.font)}" font-size="${word.size}">${escapeXML(run.text)}</tspan>`;
+    });
+    lines.push(`    <path id="contour-${i}" fill="none" d="${ringsToPathData([ring], num)}"/>`);
+    lines.push(`    <text><textPath href="#contour-${i}">${spans.join('')}</textPath></text>`);
+  });
+  lines.push('  </g>');
+  return lines;
+}
+
+/**
+ * Build an SVG document: background, contour and one <text> per cell
+ * Cells are grouped per word so each group can be restyled in an editor.
+ * @param {Object} frame - export frame from WebcamTextRenderer
+ * @returns {string} SVG markup
+ */
+export function createSVG(frame) {
+  const { width, height } = frame;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <rect id="background" width="${width}" height="${height}" fill="${escapeXML(frame.background)}"/>`
+  ];
+  
+  // Traced outline (a vector path even when the screen draws edge pixels)
+  if (frame.contours.length > 0) {
+    lines.push(...contourSVG(frame));
+  }
+  
+  // Words, grouped by word definition
+  const groups = new Map();
+  for (const cell of frame.cells) {
+    if (!groups.has(cell.wordIndex)) groups.set(cell.wordIndex, []);
+    groups.get(cell.wordIndex).push(cell);
+  }
+  
+  for (const [wordIndex, cells] of groups) {
+    const word = frame.words[wordIndex];
+    lines.push(`  <g id="word-${wordIndex}" fill="${escapeXML(word.color)}" font-family="${escapeXML(word.font)}" font-size="${word.size}">`);
+    for (const cell of cells) {
+      // Sampled colors (see colorMode) override the group fill per cell
+      const fill = cell.color && cell.color !== word.color ? ` fill="${escapeXML(cell.color)}"` : '';
+      const transform = cell.transform ? cellTransform(cell.transform) : '';
+      lines.push(`    <text x="${num(cell.x)}" y="${num(cell.y + cell.ascent)}"${fill}${transform}>${escapeXML(cell.text)}</text>`);
+    }
+    lines.push('  </g>');
+  }
+  
+  lines.push('</svg>');
+  return lines.join('\n');
+}
+
+/**
+ * Draw an export frame into any 2D context (current transform applies)
+ */
+export function drawExportFrame(ctx, frame) {
+  ctx.fillStyle = frame.background;
+  ctx.fillRect(0, 0, frame.width, frame.height);
+  
+  drawExportContour(ctx, frame);
+  
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  for (const cell of frame.cells) {
+    const word = frame.words[cell.wordIndex];
+    ctx.fillStyle = cell.color || word.color;
+    ctx.font = `${word.size}px ${word.font}`;
+    
+    if (cell.transform) {
+      ctx.save();
+      ctx.translate(cell.transform.x, cell.transform.y);
+      ctx.rotate(cell.transform.rotation);
+      ctx.scale(cell.transform.scale, cell.transform.scale);
+      ctx.fillText(cell.text, cell.x, cell.y + cell.ascent);
+      ctx.restore();
+    } else {
+      ctx.fillText(cell.text, cell.x, cell.y + cell.ascent);
+    }
+  }
+}
+
+/**
+ * Contour in the frame's contourStyle: edge pixels, stroked outline or words on the outline
+ */
+function drawExportContour(ctx, frame) {
+  ctx.save();
+  
+  if (frame.contourStyle === 'text') {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    for (const glyphs of frame.contourGlyphs) {
+      for (const glyph of glyphs) {
+        const word = frame.words[glyph.wordIndex];
+        ctx.save();
+        ctx.translate(glyph.x, glyph.y);
+        ctx.rotate(glyph.angle);
+        ctx.fillStyle = word.color;
+        ctx.font = `${word.size}px ${word.font}`;
+        ctx.fillText(glyph.text, 0, 0);
+        ctx.restore();
+      }
+    }
+  } else if (frame.contourStyle === 'lines') {
+    ctx.strokeStyle = frame.contourColor;
+    ctx.lineWidth = frame.pixelSize;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    for (const ring of frame.contours) {
+      ring.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+    }
+    ctx.stroke();
+  } else {
+    ctx.fillStyle = frame.contourColor;
+    for (const edge of frame.edges) {
+      ctx.fillRect(edge.x, edge.y, frame.pixelSize, frame.pixelSize);
+    }
+  }
+  
+  ctx.restore();
+}
+
+/**
+ * Pixel dimensions for a print size
+ * @param {Object} options
+ * @param {string} options.size - key of PRINT_SIZES (default 'A3')
+ * @param {number} options.widthMm - custom width (overrides size)
+ * @param {number} options.heightMm - custom height (overrides size)
+ * @param {boolean} options.landscape - default: follow the frame's aspect ratio
+ * @param {number} options.dpi - default 300, clamped to PRINT_DPIS
+ * @throws {Error} when a custom size is not a positive number up to MAX_PRINT_MM
+ */
+export function getPrintDimensions(frame, options = {}) {
+  const size = options.size || 'A3';
+  const paper = Object.prototype.hasOwnProperty.call(PRINT_SIZES, size) ? PRINT_SIZES[size] : PRINT_SIZES.A3;
+  for (const key of ['widthMm', 'heightMm']) {
+    const value = options[key];
+    if (value !== undefined && !(Number.isFinite(value) && value > 0 && value <= MAX_PRINT_MM)) {
+      throw new Error(`Invalid print ${key}: ${value}`);
+    }
+  }
+  let widthMm = options.widthMm || paper.width;
+  let heightMm = options.heightMm || paper.height;
+  
+  const landscape = options.landscape !== undefined ? options.landscape : frame.width > frame.height;
+  if (!options.widthMm && landscape !== widthMm > heightMm) {
+    [widthMm, heightMm] = [heightMm, widthMm];
+  }
+  
+  const dpi = Number.isFinite(options.dpi)
+    ? Math.max(PRINT_DPIS[0], Math.min(PRINT_DPIS[PRINT_DPIS.length - 1], options.dpi))
+    : 300;
+  return {
+    width: Math.round(widthMm / MM_PER_INCH * dpi),
+    height: Math.round(heightMm / MM_PER_INCH * dpi),
+    dpi
+  };
+}
+
+/**
+ * Render a frame at print resolution as a PNG
+ * The page is drawn in tiles (text re-rendered at full resolution, not
+ * upscaled) and streamed into the PNG row by row, so sizes beyond the
+ * browser's canvas limits work without holding the whole image in memory.
+ * The frame is centered on the page; the margin takes the background color.
+ * @param {Object} frame - export frame from WebcamTextRenderer
+ * @param {Object} options - see getPrintDimensions, plus tileSize (default 2048)
+ * @returns {Promise<Blob>}
+ */
+export async function renderPrintPNG(frame, options = {}) {
+  const { width, height, dpi } = getPrintDimensions(frame, options);
+  const tileSize = options.tileSize || 2048;
+  
+  const scale = Math.min(width / frame.width, height / frame.height);
+  const offsetX = (width - frame.width * scale) / 2;
+  const offsetY = (height - frame.height * scale) / 2;
+  
+  const tile = createTileCanvas(tileSize);
+  const ctx = tile.getContext('2d', { willReadFrequently: true });
+  
+  const encoder = new PNGStreamEncoder(width, height, dpi);
+  
+  for (let bandTop = 0; bandTop < height; bandTop += tileSize) {
+    const bandHeight = Math.min(tileSize, height - bandTop);
+    const band = new Uint8Array(width * bandHeight * 4);
+    
+    for (let tileLeft = 0; tileLeft < width; tileLeft += tileSize) {
+      const tileWidth = Math.min(tileSize, width - tileLeft);
+      
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = frame.background;
+      ctx.fillRect(0, 0, tileSize, tileSize);
+      ctx.setTransform(scale, 0, 0, scale, offsetX - tileLeft, offsetY - bandTop);
+      drawExportFrame(ctx, frame);
+      
+      const pixels = ctx.getImageData(0, 0, tileWidth, bandHeight).data;
+      for (let row = 0; row < bandHeight; row++) {
+        band.set(
+          pixels.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4),
+          (row * width + tileLeft) * 4
+        );
+      }
+    }
+    
+    await encoder.writeRows(band, bandHeight);
+  }
+  
+  console.log(`🖨️ Print render: ${width}x${height}px @ ${dpi} dpi`);
+  return encoder.finish();
+}
+
+function createTileCanvas(size) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(size, size);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  return canvas;
+}
+
+// ============================================
+// PNG ENCODER (streamed through CompressionStream)
+// ============================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * RGBA PNG written band by band (zlib via CompressionStream('deflate'))
+ */
+class PNGStreamEncoder {
+  constructor(width, height, dpi) {
+    if (typeof CompressionStream === 'undefined') {
+      throw new Error('CompressionStream not supported - print export needs a current browser');
+    }
+    
+    this.width = width;
+    this.height = height;
+    this.dpi = dpi;
+    
+    const stream = new CompressionStream('deflate');
+    this.writer = stream.writable.getWriter();
+    // Start reading right away so writes never stall on backpressure
+    this.compressed = new Response(stream.readable).arrayBuffer();
+  }
+  
+  /**
+   * Append rows of RGBA pixels (Sub filter on every scanline)
+   */
+  async writeRows(pixels, rows) {
+    const stride = this.width * 4;
+    const out = new Uint8Array(rows * (stride + 1));
+    
+    for (let row = 0; row < rows; row++) {
+      const src = row * stride;
+      const dst = row * (stride + 1);
+      out[dst] = 1; // Sub
+      for (let i = 0; i < stride; i++) {
+        const left = i >= 4 ? pixels[src + i - 4] : 0;
+        out[dst + 1 + i] = (pixels[src + i] - left) & 0xFF;
+      }
+    }
+    
+    await this.writer.write(out);
+  }
+  
+  async finish() {
+    await this.writer.close();
+    const idat = new Uint8Array(await this.compressed);
+    
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, this.width);
+    headerView.setUint32(4, this.height);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // RGBA
+    
+    // Physical size so print software picks up the DPI
+    const pixelsPerMeter = Math.round(this.dpi / MM_PER_INCH * 1000);
+    const phys = new Uint8Array(9);
+    const physView = new DataView(phys.buffer);
+    physView.setUint32(0, pixelsPerMeter);
+    physView.setUint32(4, pixelsPerMeter);
+    phys[8] = 1;    // unit: metre
+    
+    return new Blob([
+      new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      pngChunk('IHDR', header),
+      pngChunk('pHYs', phys),
+      pngChunk('IDAT', idat),
+      pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+  }
+}
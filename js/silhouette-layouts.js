@@ -0,0 +1,128 @@
+/**
+ * Silhouette layouts - where WebcamTextRenderer puts its words (settings.layout)
+ * Used by both text backends and the SVG / print export.
+ *
+ * Layouts:
+ *   grid       - rectangular grid, a fixed random word per cell (the original look)
+ *   sequential - rectangular grid, words in reading order through the silhouette,
+ *                so the word list reads as a sentence across the rows
+ *   weighted   - rectangular grid, random words picked in proportion to word.weight
+ *   hex        - every other row shifted by half a cell (hexagonal packing)
+ *   radial     - rings of words around the silhouette's center, turned along the ring
+ *   halftone   - rectangular grid, words larger where the silhouette is denser
+ *
+ * buildLayoutCells runs once per grid; the renderer moves radial rings onto
+ * the silhouette and scales halftone words every frame.
+ */
+
+export const LAYOUTS = ['grid', 'sequential', 'weighted', 'hex', 'radial', 'halftone'];
+
+// Word scale in the lightest and densest halftone cells
+export const HALFTONE_SCALE = [0.35, 1.5];
+
+// Words without a weight count as 1
+function wordWeight(word) {
+  return word.weight === undefined ? 1 : Math.max(0, Number(word.weight) || 0);
+}
+
+/**
+ * Random word index, each word as likely as its weight
+ */
+export function pickWeightedWord(words) {
+  let total = 0;
+  for (const word of words) total += wordWeight(word);
+  if (total <= 0) return Math.floor(Math.random() * words.length);
+  
+  let target = Math.random() * total;
+  for (let i = 0; i < words.length; i++) {
+    target -= wordWeight(words[i]);
+    if (target < 0) return i;
+  }
+  return words.length - 1;
+}
+
+/**
+ * Word index per grid cell [row][column] (see WebcamTextRenderer.initializeGrid)
+ */
+export function buildWordGrid(layout, rows, columns, words) {
+  const pick = layout === 'weighted'
+    ? () => pickWeightedWord(words)
+    : () => Math.floor(Math.random() * words.length);
+  
+  const grid = [];
+  for (let y = 0; y < rows; y++) {
+    const row = [];
+    for (let x = 0; x < columns; x++) {
+      row.push(pick());
+    }
+    grid.push(row);
+  }
+  return grid;
+}
+
+/**
+ * Cells of a layout, in reading order
+ * Radial cells are relative to the ring center (0, 0); the others are in
+ * canvas pixels. Radial cells take their words from the word grid in order.
+ * @param {string} layout - one of LAYOUTS
+ * @param {Object} area - { x, y, width, height, columns, rows } display area and grid size
+ * @param {number[][]} textGrid - word index per grid cell
+ * @returns {Array<{x, y, width, height, rotation, scale, wordIndex}>} cell top-left, rotation in radians
+ */
+export function buildLayoutCells(layout, area, textGrid) {
+  const cellWidth = area.width / area.columns;
+  const cellHeight = area.height / area.rows;
+  const cells = [];
+  
+  if (layout === 'radial') {
+    const flat = textGrid.flat();
+    if (flat.length === 0) return cells;
+    
+    // Rings one row apart, out to the far corner wherever the center ends up
+    const maxRadius = Math.hypot(area.width, area.height);
+    for (let ring = 0; (ring + 0.5) * cellHeight < maxRadius; ring++) {
+      const radius = (ring + 0.5) * cellHeight;
+      const count = Math.max(1, Math.floor(2 * Math.PI * radius / cellWidth));
+      
+      for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+        const centerX = Math.cos(angle) * radius;
+        const centerY = Math.sin(angle) * radius;
+        
+        // Along the ring, turned so no word is upside down
+        let rotation = angle + Math.PI / 2;
+        if (centerY > 0) rotation -= Math.PI;
+        
+        cells.push({
+          x: centerX - cellWidth / 2,
+          y: centerY - cellHeight / 2,
+          width: cellWidth,
+          height: cellHeight,
+          rotation,
+          scale: 1,
+          wordIndex: flat[cells.length % flat.length]
+        });
+      }
+    }
+    return cells;
+  }
+  
+  for (let row = 0; row < area.rows; row++) {
+    // Hex: odd rows shift right by half a cell and lose the cell that would hang off the edge
+    const offset = layout === 'hex' && row % 2 === 1 ? cellWidth / 2 : 0;
+    const columns = offset > 0 && area.columns > 1 ? area.columns - 1 : area.columns;
+    
+    for (let column = 0; column < columns; column++) {
+      cells.push({
+        x: area.x + column * cellWidth + offset,
+        y: area.y + row * cellHeight,
+        width: cellWidth,
+        height: cellHeight,
+        rotation: 0,
+        scale: 1,
+        wordIndex: textGrid[row]?.[column] || 0
+      });
+    }
+  }
+  return cells;
+}
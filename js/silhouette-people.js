@@ -0,0 +1,155 @@
+/**
+ * Silhouette people - tells visitors apart in the threshold mask
+ * Connected-component labeling on a coarse grid splits the mask into
+ * regions; PersonTracker matches each region to the nearest person of the
+ * previous frame, so a visitor keeps the same ID while they stay in view.
+ *
+ * Used by SilhouetteAnalyzer (analysis.people, personAt) and the
+ * WebcamTextRenderer personMode (a word subset or color per person).
+ */
+
+export const DEFAULT_PEOPLE_OPTIONS = {
+  step: 4,              // Label grid step in pixels
+  minArea: 0.01,        // Smallest region that counts as a person (fraction of the frame)
+  maxPeople: 8,         // Largest regions kept
+  matchDistance: 0.25,  // How far a person may move between frames (fraction of the frame diagonal)
+  graceTime: 300        // ms a person who drops out of view (flicker, merging) keeps their ID and slot
+};
+
+/**
+ * Connected regions of a mask (8-connected, sampled every `step` pixels)
+ * @param {Uint8Array} mask - 1 inside, 0 outside (row-major)
+ * @returns {{labels: Int32Array, columns: number, rows: number, components: Array}}
+ *   labels: region number + 1 per grid sample (0 = outside);
+ *   components: { label, area, x, y, width, height, centerX, centerY } in pixels, area as a fraction
+ */
+export function labelComponents(mask, width, height, step = DEFAULT_PEOPLE_OPTIONS.step) {
+  step = Math.max(1, Math.floor(step));
+  const columns = Math.ceil(width / step);
+  const rows = Math.ceil(height / step);
+  const labels = new Int32Array(columns * rows);
+  const stack = new Int32Array(columns * rows);
+  const components = [];
+  
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] || !mask[Math.floor(start / columns) * step * width + (start % columns) * step]) continue;
+    
+    // Flood fill from here
+    const label = components.length + 1;
+    let count = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let minX = columns;
+    let minY = rows;
+    let maxX = 0;
+    let maxY = 0;
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+    
+    while (top > 0) {
+      const index = stack[--top];
+      const gx = index % columns;
+      const gy = Math.floor(index / columns);
+      count++;
+      sumX += gx;
+      sumY += gy;
+      if (gx < minX) minX = gx;
+      if (gx > maxX) maxX = gx;
+      if (gy < minY) minY = gy;
+      if (gy > maxY) maxY = gy;
+      
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = gy + dy;
+        if (ny < 0 || ny >= rows) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = gx + dx;
+          if (nx < 0 || nx >= columns) continue;
+          const neighbour = ny * columns + nx;
+          if (labels[neighbour] || !mask[ny * step * width + nx * step]) continue;
+          labels[neighbour] = label;
+          stack[top++] = neighbour;
+        }
+      }
+    }
+    
+    components.push({
+      label,
+      area: count / labels.length,
+      x: minX * step,
+      y: minY * step,
+      width: (maxX - minX + 1) * step,
+      height: (maxY - minY + 1) * step,
+      centerX: (sumX / count) * step,
+      centerY: (sumY / count) * step
+    });
+  }
+  
+  return { labels, columns, rows, components };
+}
+
+/**
+ * Stable IDs for regions across frames
+ * IDs start at 1 and are never reused, so hosts can tell a new visitor from
+ * one who moved. Each person also holds a slot (0, 1, 2...): the lowest one
+ * free when they arrived, so people in view at the same time never share one.
+ * A person missing for less than the grace time (region briefly too small,
+ * merged with a neighbour, threshold flicker) keeps both when they reappear.
+ */
+export class PersonTracker {
+  constructor() {
+    this.people = [];
+    this.missing = [];    // Unmatched people still within their grace time
+    this.nextId = 1;
+  }
+  
+  /**
+   * Match this frame's regions to the tracked people (closest pairs first)
+   * @param {Array} components - from labelComponents (already filtered)
+   * @param {number} maxDistance - in pixels; farther regions become new people
+   * @param {number} graceTime - ms an unmatched person is kept before their ID and slot are freed
+   * @param {number} now - ms (performance.now())
+   * @returns {Array} people in view: the component fields plus `id` and `slot`
+   */
+  update(components, maxDistance, graceTime = DEFAULT_PEOPLE_OPTIONS.graceTime, now = performance.now()) {
+    const tracked = this.people.concat(this.missing.filter(person => now - person.lostAt < graceTime));
+    const pairs = [];
+    components.forEach((component, c) => {
+      tracked.forEach((person, p) => {
+        const distance = Math.hypot(component.centerX - person.centerX, component.centerY - person.centerY);
+        if (distance <= maxDistance) pairs.push({ c, p, distance });
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+    
+    const matches = new Array(components.length).fill(null);
+    const taken = new Set();
+    for (const { c, p } of pairs) {
+      if (matches[c] || taken.has(p)) continue;
+      matches[c] = tracked[p];
+      taken.add(p);
+    }
+    
+    // Not seen this frame: held (last position, slot reserved) until the grace time runs out
+    this.missing = tracked
+      .filter((person, p) => !taken.has(p))
+      .map(person => (person.lostAt === undefined ? { ...person, lostAt: now } : person))
+      .filter(person => now - person.lostAt < graceTime);
+    
+    const slots = new Set(matches.filter(Boolean).concat(this.missing).map(person => person.slot));
+    this.people = components.map((component, c) => {
+      if (matches[c]) return { ...component, id: matches[c].id, slot: matches[c].slot };
+      
+      let slot = 0;
+      while (slots.has(slot)) slot++;
+      slots.add(slot);
+      return { ...component, id: this.nextId++, slot };
+    });
+    return this.people;
+  }
+  
+  reset() {
+    this.people = [];
+    this.missing = [];
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Silhouette presence - turns per-frame analysis into debounced events
+ * Dispatched on the renderer that owns the monitor (WebcamTextRenderer,
+ * WebcamProjection), so host pages can react to visitors:
+ *
+ *   visitorenter   - coverage stayed above enterCoverage for enterDelay ms
+ *                    detail: { coverage, people }
+ *   visitorleave   - coverage stayed below leaveCoverage for leaveDelay ms
+ *                    detail: { coverage, duration } (ms the visitor was there)
+ *   coveragechange - mask area moved by coverageStep or more (at most every coverageInterval ms)
+ *                    detail: { coverage, previous }
+ *   motion         - mask changed over motionThreshold of the frame since the last one (at most every motionInterval ms)
+ *                    detail: { amount, coverage }
+ *   camerastall    - no new camera frame for stallTimeout ms
+ *                    detail: { since } (ms since the last frame)
+ *   cameraresume   - frames arrive again after a stall
+ *                    detail: { stalledFor }
+ */
+
+export const DEFAULT_PRESENCE_OPTIONS = {
+  enterCoverage: 0.03,     // Mask area (fraction of the frame) that counts as someone in view
+  leaveCoverage: 0.015,    // ...and below which they count as gone (lower, so it doesn't flicker)
+  enterDelay: 400,
+  leaveDelay: 2000,
+  coverageStep: 0.02,
+  coverageInterval: 250,
+  motionThreshold: 0.01,   // Fraction of the frame whose mask changed between frames
+  motionInterval: 250,
+  stallTimeout: 2000
+};
+
+export class PresenceMonitor {
+  /**
+   * @param {EventTarget} target - where events are dispatched
+   * @param {Object} options - see DEFAULT_PRESENCE_OPTIONS
+   */
+  constructor(target, options = {}) {
+    this.target = target;
+    this.options = { ...DEFAULT_PRESENCE_OPTIONS, ...options };
+    this.paused = false;   // While the input is not the room (e.g. attract mode replays)
+    this.reset();
+  }
+  
+  reset() {
+    this.present = false;
+    this.presentSince = 0;
+    this.pendingSince = 0;     // When coverage first crossed toward the other state
+    this.coverage = 0;
+    this.reportedCoverage = 0;
+    this.lastCoverageEvent = 0;
+    this.lastMotionEvent = 0;
+    
+    // Camera watchdog
+    this.frameTime = null;
+    this.frameSeenAt = 0;
+    this.stalled = false;
+  }
+  
+  /**
+   * Feed one analyzed frame
+   * @param {Object} stats - { coverage, motion, people } (people optional)
+   * @param {number} now - ms (performance.now())
+   */
+  update(stats, now = performance.now()) {
+    if (this.paused) return;
+    
+    const o = this.options;
+    const coverage = stats.coverage;
+    this.coverage = coverage;
+    
+    // Presence with hysteresis and a delay each way
+    const crossing = this.present ? coverage < o.leaveCoverage : coverage >= o.enterCoverage;
+    if (!crossing) {
+      this.pendingSince = 0;
+    } else if (!this.pendingSince) {
+      this.pendingSince = now;
+    } else if (now - this.pendingSince >= (this.present ? o.leaveDelay : o.enterDelay)) {
+      this.present = !this.present;
+      this.pendingSince = 0;
+      
+      if (this.present) {
+        this.presentSince = now;
+        this.emit('visitorenter', { coverage, people: stats.people || 0 });
+      } else {
+        this.emit('visitorleave', { coverage, duration: now - this.presentSince });
+      }
+    }
+    
+    if (Math.abs(coverage - this.reportedCoverage) >= o.coverageStep && now - this.lastCoverageEvent >= o.coverageInterval) {
+      this.emit('coveragechange', { coverage, previous: this.reportedCoverage });
+      this.reportedCoverage = coverage;
+      this.lastCoverageEvent = now;
+    }
+    
+    if (stats.motion >= o.motionThreshold && now - this.lastMotionEvent >= o.motionInterval) {
+      this.emit('motion', { amount: stats.motion, coverage });
+      this.lastMotionEvent = now;
+    }
+  }
+  
+  /**
+   * Camera watchdog - call every render tick with the input's frame time
+   * (video.currentTime or source.getFrameTime()); null while there is no input
+   */
+  watch(frameTime, now = performance.now()) {
+    if (this.paused || frameTime === null || frameTime === undefined) return;
+    
+    if (frameTime !== this.frameTime) {
+      if (this.stalled) {
+        this.stalled = false;
+        this.emit('cameraresume', { stalledFor: now - this.frameSeenAt });
+      }
+      this.frameTime = frameTime;
+      this.frameSeenAt = now;
+    } else if (!this.stalled && now - this.frameSeenAt >= this.options.stallTimeout) {
+      this.stalled = true;
+      this.emit('camerastall', { since: now - this.frameSeenAt });
+    }
+  }
+  
+  emit(type, detail) {
+    this.target.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
@@ -0,0 +1,426 @@
+/**
+ * Silhouette presets - named looks (threshold, contour, glitch, animation
+ * and the word lists) shared by WebcamTextRenderer, the home page settings
+ * panel and WORD SILHOUETTE.html
+ *
+ * A preset uses the WebcamTextRenderer.settings key names; each host maps
+ * them onto its own controls. Presets are kept in localStorage, saved and
+ * loaded as .json files and shared as a link (#preset=...).
+ */
+import { downloadBlob } from './silhouette-recorder.js';
+import { COLOR_MODES } from './silhouette-colors.js';
+import { LAYOUTS } from './silhouette-layouts.js';
+import { TRAIL_MODES } from './silhouette-trails.js';
+
+export const PRESET_VERSION = 1;
+
+// Settings a preset carries (grouped like the settings panels)
+export const PRESET_SETTING_KEYS = [
+  // Threshold
+  'threshold', 'thresholdMode', 'invertColors', 'flipVideo', 'portraitMode',
+  // Contour
+  'showContour', 'pixelSize', 'contourSensitivity', 'contourDensity', 'contourColor',
+  'contourStyle', 'contourSmoothing', 'contourSimplify', 'contourTextSpeed',
+  // Glitch
+  'enableGlitch', 'glitchType', 'glitchIntensity', 'glitchSpeed',
+  // Animation
+  'enableAnimation', 'animationType', 'animationSpeed',
+  // Text grid
+  'fontSize', 'textDensity', 'cellWidthMultiplier', 'layout', 'wordMode',
+  // People
+  'personMode', 'personGroups',
+  // Negative space
+  'negativeSpace', 'outsideDensity',
+  // Word colors
+  'colorMode', 'colorTint', 'colorGradient',
+  // Trails
+  'trailMode', 'trailDecay', 'trailFrames', 'trailExposure', 'trailOpacity', 'trailBlend'
+];
+
+// Type of each preset setting: booleans, colors, one of `values`, or numbers
+// clamped to the panel slider range (rounded when `integer`)
+const SETTING_RULES = {
+  threshold: { min: 0, max: 255 },
+  thresholdMode: { values: ['fixed', 'otsu', 'adaptive', 'background'] },
+  invertColors: { type: 'boolean' },
+  flipVideo: { type: 'boolean' },
+  portraitMode: { type: 'boolean' },
+  showContour: { type: 'boolean' },
+  pixelSize: { min: 1, max: 6, integer: true },
+  contourSensitivity: { min: 1, max: 50 },
+  contourDensity: { min: 1, max: 5, integer: true },
+  contourColor: { type: 'color' },
+  contourStyle: { values: ['pixels', 'lines', 'text'] },
+  contourSmoothing: { min: 0, max: 4, integer: true },
+  contourSimplify: { min: 0, max: 5 },
+  contourTextSpeed: { min: 0, max: 100 },
+  enableGlitch: { type: 'boolean' },
+  glitchType: { values: ['scanlines', 'rgbshift', 'noise', 'blockshift', 'pixelation', 'wavydistortion', 'vhstracking', 'ghosting', 'digitaldropout', 'combined'] },
+  glitchIntensity: { min: 10, max: 100 },
+  glitchSpeed: { min: 1, max: 10 },
+  enableAnimation: { type: 'boolean' },
+  animationType: { values: ['wave', 'pulse', 'rotate', 'bounce', 'flicker'] },
+  animationSpeed: { min: 1, max: 20 },
+  fontSize: { min: 6, max: 24 },
+  textDensity: { min: 0.5, max: 3 },
+  cellWidthMultiplier: { min: 0, max: 2 },
+  layout: { values: LAYOUTS },
+  wordMode: { values: ['random', 'bands'] },
+  personMode: { values: ['off', 'words', 'colors'] },
+  personGroups: { min: 2, max: 4, integer: true },
+  negativeSpace: { type: 'boolean' },
+  outsideDensity: { min: 0.5, max: 3 },
+  colorMode: { values: COLOR_MODES },
+  colorTint: { min: 0, max: 1 },
+  colorGradient: { type: 'colors' },
+  trailMode: { values: TRAIL_MODES },
+  trailDecay: { min: 0.5, max: 0.99 },
+  trailFrames: { min: 2, max: 20, integer: true },
+  trailExposure: { min: 1, max: 10 },
+  trailOpacity: { min: 0, max: 1 },
+  trailBlend: { values: ['auto', 'lighter', 'screen', 'difference', 'source-over'] }
+};
+
+const isColor = value => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+
+/**
+ * A setting value checked against its rule, or undefined when it is unusable
+ * (wrong type, unknown option, not a finite number)
+ */
+function normalizeSetting(key, value) {
+  const rule = SETTING_RULES[key];
+  if (!rule) return undefined;
+  
+  if (rule.type === 'boolean') return typeof value === 'boolean' ? value : undefined;
+  if (rule.type === 'color') return isColor(value) ? value : undefined;
+  if (rule.type === 'colors') {
+    return Array.isArray(value) && value.length >= 2 && value.every(isColor) ? value.slice() : undefined;
+  }
+  if (rule.values) return rule.values.includes(value) ? value : undefined;
+  
+  if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+  const clamped = Math.max(rule.min, Math.min(rule.max, value));
+  return rule.integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Preset settings with every value checked (see SETTING_RULES); bad ones are dropped
+ */
+export function normalizeSettings(settings) {
+  const normalized = {};
+  for (const key of PRESET_SETTING_KEYS) {
+    const value = normalizeSetting(key, settings[key]);
+    if (value !== undefined) normalized[key] = value;
+  }
+  return normalized;
+}
+
+const STORAGE_KEY = 'wordSilhouette.presets';
+const HASH_PREFIX = 'preset=';
+
+function copyWords(words) {
+  return (words || []).map(word => {
+    const copy = {
+      text: word.text,
+      color: word.color,
+      font: word.font,
+      size: word.size
+    };
+    // Only set for the weighted layout (see silhouette-layouts.js)
+    if (word.weight !== undefined) copy.weight = word.weight;
+    return copy;
+  });
+}
+
+/**
+ * Build a preset from a settings object and word lists
+ * (outsideWords = the negative space background words)
+ * Unknown keys are dropped; words are copied.
+ */
+export function createPreset(name, settings, words, outsideWords) {
+  const picked = {};
+  for (const key of PRESET_SETTING_KEYS) {
+    if (settings[key] !== undefined) picked[key] = settings[key];
+  }
+  
+  return {
+    version: PRESET_VERSION,
+    name: name || 'Untitled',
+    settings: picked,
+    words: copyWords(words),
+    outsideWords: copyWords(outsideWords)
+  };
+}
+
+// Word size range of the word editors
+const WORD_SIZE = { min: 6, max: 24 };
+
+/**
+ * A word size clamped to the editor range (10 when missing or not a positive number)
+ */
+function normalizeWordSize(value) {
+  const size = Number(value);
+  if (!Number.isFinite(size) || size <= 0) return 10;
+  return Math.max(WORD_SIZE.min, Math.min(WORD_SIZE.max, size));
+}
+
+function normalizeWords(words) {
+  if (!Array.isArray(words)) return [];
+  
+  return words
+    .filter(word => word && typeof word.text === 'string' && word.text.length > 0)
+    .map(word => ({
+      text: word.text,
+      color: isColor(word.color) ? word.color : '#FFFFFF',
+      font: typeof word.font === 'string' ? word.font : 'monospace',
+      size: normalizeWordSize(word.size),
+      weight: word.weight === undefined ? undefined : Math.max(0, Number(word.weight) || 0)
+    }));
+}
+
+/**
+ * Validate preset data from a file, link or storage
+ * Settings and words are type- and range-checked (a shared link must not be
+ * able to hang the page, e.g. with a font size of 0 or a huge word size)
+ * @throws {Error} when the data is not a usable preset
+ */
+export function normalizePreset(data) {
+  if (!data || typeof data !== 'object' || typeof data.settings !== 'object' || data.settings === null) {
+    throw new Error('Invalid preset: missing settings');
+  }
+  if (data.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${data.version} is newer than supported (${PRESET_VERSION})`);
+  }
+  
+  return createPreset(String(data.name || 'Untitled'), normalizeSettings(data.settings), normalizeWords(data.words), normalizeWords(data.outsideWords));
+}
+
+/**
+ * Named presets in localStorage
+ */
+export class PresetStore {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+  
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn('⚠️ Could not read presets:', error.message);
+      return {};
+    }
+  }
+  
+  writeAll(presets) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(presets));
+      return true;
+    } catch (error) {
+      console.error('❌ Could not save presets:', error.message);
+      return false;
+    }
+  }
+  
+  list() {
+    return Object.keys(this.readAll()).sort((a, b) => a.localeCompare(b));
+  }
+  
+  get(name) {
+    const data = this.readAll()[name];
+    return data ? normalizePreset(data) : null;
+  }
+  
+  save(preset) {
+    const presets = this.readAll();
+    presets[preset.name] = preset;
+    return this.writeAll(presets);
+  }
+  
+  delete(name) {
+    const presets = this.readAll();
+    delete presets[name];
+    return this.writeAll(presets);
+  }
+}
+
+/**
+ * Download a preset as a .json file
+ */
+export function exportPresetFile(preset) {
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+  const filename = preset.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase() || 'preset';
+  downloadBlob(blob, `${filename}.json`);
+}
+
+/**
+ * Read a preset from a File (e.g. <input type="file">)
+ * @returns {Promise<Object>} the validated preset
+ */
+export async function readPresetFile(file) {
+  const text = await file.text();
+  return normalizePreset(JSON.parse(text));
+}
+
+/**
+ * URL hash for a preset: #preset=<base64url JSON>
+ */
+export function encodePresetHash(preset) {
+  const bytes = new TextEncoder().encode(JSON.stringify(preset));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `#${HASH_PREFIX}${encoded}`;
+}
+
+/**
+ * Preset from a URL hash, or null if the hash holds none (or is broken)
+ */
+export function decodePresetHash(hash = window.location.hash) {
+  const value = hash.replace(/^#/, '');
+  if (!value.startsWith(HASH_PREFIX)) return null;
+  
+  try {
+    const encoded = value.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(encoded);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return normalizePreset(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch (error) {
+    console.warn('⚠️ Could not read preset from link:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Link that opens the current page with this preset applied
+ */
+export function getShareURL(preset) {
+  const url = new URL(window.location.href);
+  url.hash = encodePresetHash(preset);
+  return url.toString();
+}
+
+/**
+ * Wire up a presets UI inside `root`
+ * Hosts write their own markup (in their own style) and mark the elements:
+ *   [data-preset="select"]  <select> of saved presets (choosing one applies it)
+ *   [data-preset="name"]    <input> name for Save
+ *   [data-preset="save"|"delete"|"export"|"import"|"share"]  buttons
+ *   [data-preset="status"]  optional message element
+ * @param {Element} root
+ * @param {Object} host
+ * @param {Function} host.getPreset - (name) => preset of the current look
+ * @param {Function} host.applyPreset - (preset) => void
+ * @param {boolean} host.loadFromHash - apply a #preset= link on load and on hashchange (default true)
+ * @returns {{ refresh: Function, store: PresetStore }}
+ */
+export function bindPresetControls(root, host) {
+  const store = host.store || new PresetStore();
+  const find = (role) => root.querySelector(`[data-preset="${role}"]`);
+  
+  const select = find('select');
+  const nameInput = find('name');
+  const status = find('status');
+  
+  const showStatus = (message) => {
+    if (status) status.textContent = message;
+    console.log('🎛️', message);
+  };
+  
+  const apply = (preset) => {
+    host.applyPreset(preset);
+    if (nameInput) nameInput.value = preset.name;
+    showStatus(`Loaded "${preset.name}"`);
+  };
+  
+  const refresh = () => {
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '<option value="">Presets…</option>';
+    for (const name of store.list()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = store.list().includes(current) ? current : '';
+  };
+  
+  const currentName = () => (nameInput && nameInput.value.trim()) || (select && select.value) || 'Untitled';
+  
+  if (select) {
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      const preset = store.get(select.value);
+      if (preset) apply(preset);
+    });
+  }
+  
+  const on = (role, handler) => {
+    const element = find(role);
+    if (element) element.addEventListener('click', handler);
+  };
+  
+  on('save', () => {
+    const preset = host.getPreset(currentName());
+    if (store.save(preset)) {
+      refresh();
+      if (select) select.value = preset.name;
+      showStatus(`Saved "${preset.name}"`);
+    }
+  });
+  
+  on('delete', () => {
+    const name = select && select.value;
+    if (!name) return;
+    store.delete(name);
+    refresh();
+    showStatus(`Deleted "${name}"`);
+  });
+  
+  on('export', () => {
+    exportPresetFile(host.getPreset(currentName()));
+  });
+  
+  on('import', () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      if (!input.files.length) return;
+      try {
+        const preset = await readPresetFile(input.files[0]);
+        store.save(preset);
+        refresh();
+        if (select) select.value = preset.name;
+        apply(preset);
+      } catch (error) {
+        showStatus(`Import failed: ${error.message}`);
+      }
+    });
+    input.click();
+  });
+  
+  on('share', async () => {
+    const url = getShareURL(host.getPreset(currentName()));
+    history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      showStatus('Link copied to clipboard');
+    } catch (error) {
+      showStatus('Link is in the address bar');
+    }
+  });
+  
+  if (host.loadFromHash !== false) {
+    const fromHash = () => {
+      const preset = decodePresetHash();
+      if (preset) apply(preset);
+    };
+    window.addEventListener('hashchange', fromHash);
+    fromHash();
+  }
+  
+  refresh();
+  return { refresh, store };
+}
@@ -0,0 +1,437 @@
+/**
+ * Silhouette control protocol - postMessage API between a host page and an
+ * embedded WORD SILHOUETTE.html (replaces reaching into the iframe document)
+ *
+ * Every message is an envelope:
+ *   { protocol: 'word-silhouette', version: 1, id, type, payload }
+ *
+ * Host -> page (each is answered with an 'ack' carrying the same id):
+ *   'hello'       ask the page to announce itself ('ready')
+ *   'get'         ack payload: state { settings, words, outsideWords }
+ *   'set'         { settings?, words?, outsideWords? } - settings use WebcamTextRenderer names,
+ *                 outsideWords is the negative space background list
+ *   'subscribe'   { events: ['change', 'frame'], fps? }
+ *   'unsubscribe' { events }
+ *   'command'     { name, args } - e.g. 'resetWords', 'captureBackground',
+ *                 'exportSVG', 'exportPrint' (args { size, dpi }),
+ *                 'attract' (args { active, prompt, clips?, fps } - see attract-mode.js)
+ *
+ * Page -> host:
+ *   'ready'       { state } - on load and in reply to 'hello'
+ *   'ack'         { replyTo, ok, error?, result? }
+ *   'change'      state, after any setting or word change (subscribers only)
+ *   'frame'       { bitmap } - rendered canvas as an ImageBitmap (subscribers only)
+ */
+export const PROTOCOL = 'word-silhouette';
+export const PROTOCOL_VERSION = 1;
+
+function envelope(type, payload, id = null) {
+  return { protocol: PROTOCOL, version: PROTOCOL_VERSION, id, type, payload };
+}
+
+function isProtocolMessage(data) {
+  return !!data && typeof data === 'object' && data.protocol === PROTOCOL;
+}
+
+/**
+ * Host side - talks to the silhouette page inside an <iframe>
+ * Messages sent before the page is ready are queued and delivered once it
+ * announces itself; subscriptions are renewed if the iframe reloads.
+ */
+export class SilhouetteFrameClient extends EventTarget {
+  /**
+   * @param {HTMLIFrameElement} iframe
+   * @param {Object} options
+   * @param {string} options.targetOrigin - origin of the silhouette page (default: from iframe.src)
+   * @param {number} options.timeout - ms to wait for an ack once a message is sent (default 5000)
+   */
+  constructor(iframe, options = {}) {
+    super();
+    this.iframe = iframe;
+    this.targetOrigin = options.targetOrigin || this.getDefaultOrigin();
+    this.timeout = options.timeout || 5000;
+    
+    this.ready = false;
+    this.queue = [];
+    this.pending = new Map();
+    this.nextId = 1;
+    
+    // event name -> { handlers: Set, options }
+    this.subscriptions = new Map();
+    
+    this.handleMessage = this.handleMessage.bind(this);
+    this.sayHello = this.sayHello.bind(this);
+    window.addEventListener('message', this.handleMessage);
+    
+    // The page announces itself on load; ask as well in case that was missed
+    this.iframe.addEventListener('load', this.sayHello);
+    this.sayHello();
+  }
+  
+  getDefaultOrigin() {
+    try {
+      const origin = new URL(this.iframe.src, window.location.href).origin;
+      // file:// pages have an opaque origin
+      return origin === 'null' ? '*' : origin;
+    } catch (error) {
+      return '*';
+    }
+  }
+  
+  sayHello() {
+    if (this.iframe.contentWindow) {
+      this.iframe.contentWindow.postMessage(envelope('hello', null), this.targetOrigin);
+    }
+  }
+  
+  /**
+   * Send a message; resolves with the ack result, rejects on error or timeout
+   * @param {Transferable[]} transfer - objects in the payload handed over to the page (e.g. ImageBitmaps)
+   */
+  send(type, payload = null, transfer = []) {
+    const id = this.nextId++;
+    
+    return new Promise((resolve, reject) => {
+      const entry = { id, type, payload, transfer, resolve, reject, timer: null };
+      this.pending.set(id, entry);
+      
+      if (this.ready) {
+        this.post(entry);
+      } else {
+        this.queue.push(entry);
+      }
+    });
+  }
+  
+  post(entry) {
+    entry.timer = setTimeout(() => {
+      this.pending.delete(entry.id);
+      entry.reject(new Error(`No ack for '${entry.type}' within ${this.timeout}ms`));
+    }, this.timeout);
+    
+    this.iframe.contentWindow.postMessage(envelope(entry.type, entry.payload, entry.id), this.targetOrigin, entry.transfer);
+  }
+  
+  handleMessage(event) {
+    if (!this.iframe.contentWindow || event.source !== this.iframe.contentWindow) return;
+    
+    const data = event.data;
+    if (!isProtocolMessage(data)) return;
+    
+    if (data.version !== PROTOCOL_VERSION) {
+      console.warn(`⚠️ Silhouette page speaks protocol v${data.version}, expected v${PROTOCOL_VERSION}`);
+      return;
+    }
+    
+    switch (data.type) {
+      case 'ready':
+        this.handleReady(data.payload);
+        break;
+      
+      case 'ack': {
+        const entry = this.pending.get(data.payload.replyTo);
+        if (!entry) break;
+        
+        clearTimeout(entry.timer);
+        this.pending.delete(entry.id);
+        if (data.payload.ok) {
+          entry.resolve(data.payload.result);
+        } else {
+          entry.reject(new Error(data.payload.error || `'${entry.type}' failed`));
+        }
+        break;
+      }
+      
+      case 'change':
+      case 'frame': {
+        const subscription = this.subscriptions.get(data.type);
+        if (subscription) {
+          subscription.handlers.forEach(handler => handler(data.payload));
+        } else if (data.type === 'frame' && data.payload.bitmap) {
+          data.payload.bitmap.close();
+        }
+        break;
+      }
+    }
+  }
+  
+  handleReady(payload) {
+    const firstReady = !this.ready;
+    this.ready = true;
+    
+    if (firstReady) {
+      console.log('🔗 Silhouette page ready (protocol v' + PROTOCOL_VERSION + ')');
+      const queued = this.queue;
+      this.queue = [];
+      queued.forEach(entry => this.post(entry));
+    }
+    
+    // A reloaded page has forgotten our subscriptions
+    this.subscriptions.forEach((subscription, event) => {
+      this.post(this.createEntry('subscribe', { events: [event], ...subscription.options }));
+    });
+    
+    this.dispatchEvent(new CustomEvent('ready', { detail: payload }));
+  }
+  
+  createEntry(type, payload) {
+    const id = this.nextId++;
+    const entry = { id, type, payload, resolve: () => {}, reject: () => {}, timer: null };
+    this.pending.set(id, entry);
+    return entry;
+  }
+  
+  /**
+   * Current { settings, words, outsideWords } of the page
+   */
+  get() {
+    return this.send('get');
+  }
+  
+  /**
+   * Change settings and/or words; resolves with the new state
+   * @param {Object} changes - { settings?, words?, outsideWords? }
+   */
+  set(changes) {
+    return this.send('set', changes);
+  }
+  
+  command(name, args = null, transfer = []) {
+    return this.send('command', { name, args }, transfer);
+  }
+  
+  /**
+   * Listen for 'change' (state) or 'frame' ({ bitmap }) messages
+   * Frame handlers own the bitmap and should close() it.
+   * @param {Object} options - { fps } for frames
+   * @returns {Function} unsubscribe
+   */
+  subscribe(event, handler, options = {}) {
+    let subscription = this.subscriptions.get(event);
+    if (!subscription) {
+      subscription = { handlers: new Set(), options };
+      this.subscriptions.set(event, subscription);
+      // Before 'ready' this goes out with the renewal in handleReady
+      if (this.ready) {
+        this.send('subscribe', { events: [event], ...options }).catch(error => {
+          console.warn('⚠️ Subscribe failed:', error.message);
+        });
+      }
+    }
+    subscription.handlers.add(handler);
+    
+    return () => this.unsubscribe(event, handler);
+  }
+  
+  unsubscribe(event, handler) {
+    const subscription = this.subscriptions.get(event);
+    if (!subscription) return;
+    
+    subscription.handlers.delete(handler);
+    if (subscription.handlers.size === 0) {
+      this.subscriptions.delete(event);
+      if (this.ready) {
+        this.send('unsubscribe', { events: [event] }).catch(() => {});
+      }
+    }
+  }
+  
+  dispose() {
+    window.removeEventListener('message', this.handleMessage);
+    this.iframe.removeEventListener('load', this.sayHello);
+    this.pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(new Error('Client disposed'));
+    });
+    this.pending.clear();
+    this.queue = [];
+    this.subscriptions.clear();
+  }
+}
+
+/**
+ * Page side - answers host messages for WORD SILHOUETTE.html
+ * Only host pages from an allowed origin (by default the page's own) are answered.
+ */
+export class SilhouetteFrameServer {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.getState - () => { settings, words, outsideWords }
+   * @param {Function} handlers.setState - ({ settings?, words?, outsideWords? }) => void
+   * @param {Object} handlers.commands - name -> (args) => result
+   * @param {string[]} handlers.allowedOrigins - host origins to answer, '*' for any (default: [location.origin])
+   */
+  constructor(handlers) {
+    this.getState = handlers.getState;
+    this.setState = handlers.setState;
+    this.commands = handlers.commands || {};
+    this.allowedOrigins = handlers.allowedOrigins || [window.location.origin];
+    
+    // source window -> { origin, events: Set, fps, lastFrame, frameInFlight }
+    this.subscribers = new Map();
+    this.changeTimer = null;
+    
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+  
+  start() {
+    window.addEventListener('message', this.handleMessage);
+    
+    // Announce to the embedding page (delivered only if it is on an allowed origin)
+    if (window.parent !== window) {
+      const ready = envelope('ready', { state: this.getState() });
+      for (const origin of this.allowedOrigins) {
+        // file:// pages have an opaque origin that can't be targeted
+        window.parent.postMessage(ready, origin === 'null' ? '*' : origin);
+      }
+    }
+  }
+  
+  isAllowedOrigin(origin) {
+    return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+  
+  reply(event, type, payload, transfer = []) {
+    const origin = event.origin === 'null' ? '*' : event.origin;
+    event.source.postMessage(envelope(type, payload), origin, transfer);
+  }
+  
+  ack(event, ok, result, error) {
+    this.reply(event, 'ack', { replyTo: event.data.id, ok, result, error });
+  }
+  
+  handleMessage(event) {
+    const data = event.data;
+    if (!isProtocolMessage(data) || !event.source) return;
+    
+    // Only the embedding page (or opener) on an allowed origin may drive the controls
+    if (event.source !== window.parent && event.source !== window.opener) return;
+    if (!this.isAllowedOrigin(event.origin)) {
+      console.warn(`⚠️ Ignoring silhouette control message from ${event.origin}`);
+      return;
+    }
+    
+    if (data.version !== PROTOCOL_VERSION) {
+      this.ack(event, false, null, `Unsupported protocol version ${data.version} (page speaks ${PROTOCOL_VERSION})`);
+      return;
+    }
+    
+    try {
+      switch (data.type) {
+        case 'hello':
+          this.reply(event, 'ready', { state: this.getState() });
+          break;
+        
+        case 'get':
+          this.ack(event, true, this.getState());
+          break;
+        
+        case 'set':
+          this.setState(data.payload || {});
+          this.ack(event, true, this.getState());
+          break;
+        
+        case 'subscribe':
+          this.subscribe(event, data.payload || {});
+          this.ack(event, true, null);
+          break;
+        
+        case 'unsubscribe':
+          this.unsubscribe(event.source, data.payload || {});
+          this.ack(event, true, null);
+          break;
+        
+        case 'command': {
+          const command = this.commands[data.payload && data.payload.name];
+          if (!command) {
+            this.ack(event, false, null, `Unknown command '${data.payload && data.payload.name}'`);
+            break;
+          }
+          const result = command(data.payload.args);
+          this.ack(event, true, result === undefined ? null : result);
+          break;
+        }
+        
+        default:
+          this.ack(event, false, null, `Unknown message type '${data.type}'`);
+      }
+    } catch (error) {
+      this.ack(event, false, null, error.message);
+    }
+  }
+  
+  subscribe(event, options) {
+    let subscriber = this.subscribers.get(event.source);
+    if (!subscriber) {
+      subscriber = { origin: event.origin, events: new Set(), fps: 30, lastFrame: 0, frameInFlight: false };
+      this.subscribers.set(event.source, subscriber);
+    }
+    (options.events || []).forEach(name => subscriber.events.add(name));
+    if (options.fps) subscriber.fps = options.fps;
+  }
+  
+  unsubscribe(source, options) {
+    const subscriber = this.subscribers.get(source);
+    if (!subscriber) return;
+    
+    (options.events || []).forEach(name => subscriber.events.delete(name));
+    if (subscriber.events.size === 0) {
+      this.subscribers.delete(source);
+    }
+  }
+  
+  /**
+   * Tell 'change' subscribers about new state (batched, call freely)
+   */
+  notifyChange() {
+    if (this.changeTimer || this.subscribers.size === 0) return;
+    
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      const state = this.getState();
+      this.subscribers.forEach((subscriber, source) => {
+        if (subscriber.events.has('change')) {
+          this.post(source, subscriber, 'change', state);
+        }
+      });
+    }, 50);
+  }
+  
+  /**
+   * Send the rendered canvas to 'frame' subscribers (call once per draw)
+   * Each subscriber gets at most `fps` frames per second and one in flight.
+   */
+  sendFrames(canvas) {
+    if (this.subscribers.size === 0 || typeof createImageBitmap === 'undefined') return;
+    
+    const now = performance.now();
+    this.subscribers.forEach((subscriber, source) => {
+      if (!subscriber.events.has('frame') || subscriber.frameInFlight) return;
+      if (now - subscriber.lastFrame < 1000 / subscriber.fps) return;
+      
+      subscriber.lastFrame = now;
+      subscriber.frameInFlight = true;
+      createImageBitmap(canvas).then(bitmap => {
+        subscriber.frameInFlight = false;
+        this.post(source, subscriber, 'frame', { bitmap }, [bitmap]);
+      }).catch(() => {
+        subscriber.frameInFlight = false;
+      });
+    });
+  }
+  
+  post(source, subscriber, type, payload, transfer = []) {
+    try {
+      source.postMessage(envelope(type, payload), subscriber.origin === 'null' ? '*' : subscriber.origin, transfer);
+    } catch (error) {
+      // Host went away
+      this.subscribers.delete(source);
+    }
+  }
+  
+  stop() {
+    window.removeEventListener('message', this.handleMessage);
+    clearTimeout(this.changeTimer);
+    this.subscribers.clear();
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * SilhouetteRecorder - Record a canvas to WebM and take PNG snapshots
+ * Used by WebcamTextRenderer and WORD SILHOUETTE.html for documentation
+ * clips. Everything happens in the browser: files download directly.
+ */
+
+/**
+ * Save a Blob as a local download
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Timestamp for filenames, e.g. 2024-05-01_14-03-22
+ */
+export function timestamp() {
+  return new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+}
+
+export class SilhouetteRecorder {
+  static DEFAULTS = {
+    fps: 30,
+    videoBitsPerSecond: 8000000,
+    filenamePrefix: 'silhouette'
+  };
+  
+  /**
+   * WebM codecs in order of preference
+   */
+  static MIME_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+  ];
+  
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+  
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.options = { ...SilhouetteRecorder.DEFAULTS, ...options };
+    
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.state = 'idle';        // 'idle', 'countdown', 'recording'
+    this.countdownTimer = null;
+    this.durationTimer = null;
+    this.stopPromise = null;
+    
+    // Optional UI hooks
+    this.onStateChange = null;  // (state) => {}
+    this.onCountdown = null;    // (secondsLeft) => {}
+  }
+  
+  getMimeType() {
+    return SilhouetteRecorder.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+  
+  setState(state) {
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+  
+  isRecording() {
+    return this.state !== 'idle';
+  }
+  
+  /**
+   * Start recording
+   * @param {Object} options
+   * @param {number} options.countdown - seconds to wait before recording starts
+   * @param {number} options.duration - stop automatically after this many seconds (0 = until stop())
+   * @param {boolean} options.download - download the WebM when recording stops (default true)
+   * @returns {Promise<Blob|null>} resolves with the recording once it stops
+   */
+  start(options = {}) {
+    if (this.isRecording()) {
+      return this.stopPromise;
+    }
+    
+    if (!SilhouetteRecorder.isSupported()) {
+      console.error('❌ Recording not supported in this browser');
+      return Promise.resolve(null);
+    }
+    
+    const countdown = options.countdown || 0;
+    const duration = options.duration || 0;
+    const download = options.download !== false;
+    
+    this.stopPromise = new Promise(resolve => {
+      this.resolveStop = resolve;
+    });
+    
+    const begin = () => {
+      this.countdownTimer = null;
+      this.beginRecording(duration, download);
+    };
+    
+    if (countdown > 0) {
+      this.setState('countdown');
+      let secondsLeft = countdown;
+      if (this.onCountdown) this.onCountdown(secondsLeft);
+      
+      this.countdownTimer = setInterval(() => {
+        secondsLeft--;
+        if (secondsLeft > 0) {
+          if (this.onCountdown) this.onCountdown(secondsLeft);
+          return;
+        }
+        clearInterval(this.countdownTimer);
+        begin();
+      }, 1000);
+    } else {
+      begin();
+    }
+    
+    return this.stopPromise;
+  }
+  
+  beginRecording(duration, download) {
+    const stream = this.canvas.captureStream(this.options.fps);
+    const mimeType = this.getMimeType();
+    
+    try {
+      this.mediaRecorder = new MediaRecorder(stream, {
+        mimeType: mimeType || undefined,
+        videoBitsPerSecond: this.options.videoBitsPerSecond
+      });
+    } catch (error) {
+      console.error('❌ Could not start MediaRecorder:', error.message);
+      this.setState('idle');
+      this.resolveStop(null);
+      return;
+    }
+    
+    this.chunks = [];
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    
+    this.mediaRecorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      const blob = new Blob(this.chunks, { type: mimeType || 'video/webm' });
+      this.chunks = [];
+      this.mediaRecorder = null;
+      this.setState('idle');
+      
+      console.log(`🎬 Recording finished: ${(blob.size / 1024 / 1024).toFixed(1)} MB`);
+      if (download) {
+        downloadBlob(blob, `${this.options.filenamePrefix}_${timestamp()}.webm`);
+      }
+      this.resolveStop(blob);
+    };
+    
+    this.mediaRecorder.start(1000);
+    this.setState('recording');
+    console.log('🔴 Recording started', mimeType || '(default codec)', duration ? `for ${duration}s` : '');
+    
+    if (duration > 0) {
+      this.durationTimer = setTimeout(() => this.stop(), duration * 1000);
+    }
+  }
+  
+  /**
+   * Stop recording (or cancel a running countdown)
+   * @returns {Promise<Blob|null>} the finished recording
+   */
+  stop() {
+    if (this.durationTimer) {
+      clearTimeout(this.durationTimer);
+      this.durationTimer = null;
+    }
+    
+    if (this.state === 'countdown') {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+      this.setState('idle');
+      this.resolveStop(null);
+      return this.stopPromise;
+    }
+    
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.mediaRecorder.stop();
+    }
+    
+    return this.stopPromise || Promise.resolve(null);
+  }
+  
+  /**
+   * Start or stop, for a single record button / hotkey
+   */
+  toggle(options = {}) {
+    return this.isRecording() ? this.stop() : this.start(options);
+  }
+  
+  /**
+   * Save the current canvas as a lossless PNG
+   * @param {boolean} download - download the PNG (default true)
+   * @returns {Promise<Blob|null>}
+   */
+  snapshot(download = true) {
+    return new Promise(resolve => {
+      this.canvas.toBlob(blob => {
+        if (blob && download) {
+          downloadBlob(blob, `${this.options.filenamePrefix}_${timestamp()}.png`);
+        }
+        console.log('📸 Snapshot saved');
+        resolve(blob);
+      }, 'image/png');
+    });
+  }
+}
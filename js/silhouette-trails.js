@@ -0,0 +1,239 @@
+/**
+ * Silhouette trails - what a moving visitor leaves behind
+ *   afterimage - earlier masks as a ghost that loses `decay` of itself every frame
+ *   echo       - the last `frames` frames drawn again, fading out with age
+ *   exposure   - a long exposure: snapshots spread over `exposure` seconds
+ *                stacked together, so the path of the last few seconds fills in
+ *
+ * MaskTrail keeps the fading mask (the afterimage ghost, and the wall pixels
+ * of the afterimage and exposure modes); FrameTrail keeps whole frames (the
+ * drawn words on the TV, sample points on the walls) for echo and exposure.
+ * Used by WebcamTextRenderer and WebcamProjection.
+ */
+import { createCanvas } from './glyph-atlas-renderer.js';
+
+export const TRAIL_MODES = ['off', 'afterimage', 'echo', 'exposure'];
+
+export const DEFAULT_TRAIL_OPTIONS = {
+  mode: 'off',
+  decay: 0.9,        // Share of the afterimage left after each frame (0-1)
+  frames: 8,         // Echo length in frames
+  exposure: 4,       // Long exposure length in seconds
+  step: 4            // MaskTrail grid step in pixels
+};
+
+// Snapshots a long exposure is built from
+export const EXPOSURE_SNAPSHOTS = 12;
+
+/**
+ * Canvas composite operation for drawing a trail over the live frame
+ * 'auto' keeps the background neutral: lighten on dark, darken on light
+ */
+export function getTrailBlend(blend, lightBackground) {
+  if (!blend || blend === 'auto') {
+    return lightBackground ? 'darken' : 'lighten';
+  }
+  return blend;
+}
+
+/**
+ * Every n-th point so at most `budget` are left (keeps the spread of the whole list)
+ */
+export function thinPoints(points, budget) {
+  if (points.length <= budget) return points;
+  if (budget <= 0) return [];
+  
+  const ratio = points.length / budget;
+  const thinned = [];
+  for (let i = 0; i < budget; i++) {
+    thinned.push(points[Math.floor(i * ratio)]);
+  }
+  return thinned;
+}
+
+/**
+ * The mask of earlier frames, fading (one value 0-1 per grid cell)
+ * Cells inside the current mask are the visitor, not their trail, so they
+ * are left out of samples() and draw().
+ */
+export class MaskTrail {
+  constructor() {
+    this.field = null;
+    this.inside = null;
+    this.columns = 0;
+    this.rows = 0;
+    this.step = 1;
+    this.lastTime = 0;
+  }
+  
+  reset() {
+    this.field = null;
+  }
+  
+  /**
+   * Fold this frame's mask into the trail
+   * afterimage: field * decay every frame; exposure: linear fade over `exposure` seconds
+   * @param {Uint8Array} mask - 1 inside, 0 outside (row-major)
+   * @param {Object} options - see DEFAULT_TRAIL_OPTIONS
+   */
+  update(mask, width, height, options, now = performance.now()) {
+    const o = { ...DEFAULT_TRAIL_OPTIONS, ...options };
+    const step = Math.max(1, Math.floor(o.step));
+    const columns = Math.ceil(width / step);
+    const rows = Math.ceil(height / step);
+    
+    if (!this.field || columns !== this.columns || rows !== this.rows || step !== this.step) {
+      this.field = new Float32Array(columns * rows);
+      this.inside = new Uint8Array(columns * rows);
+      this.columns = columns;
+      this.rows = rows;
+      this.step = step;
+      this.lastTime = now;
+    }
+    
+    // At most a second per update, so a pause (hidden tab) doesn't wipe the trail at once
+    const elapsed = Math.min(1, (now - this.lastTime) / 1000);
+    this.lastTime = now;
+    const exposure = o.mode === 'exposure';
+    const fade = elapsed / Math.max(0.1, o.exposure);
+    const decay = Math.max(0, Math.min(1, o.decay));
+    
+    for (let gy = 0; gy < rows; gy++) {
+      const row = gy * step * width;
+      for (let gx = 0; gx < columns; gx++) {
+        const i = gy * columns + gx;
+        const inside = mask[row + gx * step] ? 1 : 0;
+        const faded = exposure ? this.field[i] - fade : this.field[i] * decay;
+        this.inside[i] = inside;
+        this.field[i] = inside ? 1 : (faded > 0.01 ? faded : 0);
+      }
+    }
+  }
+  
+  /**
+   * Normalized { x, y, fade } points where the visitor was but no longer is
+   */
+  samples(width, height) {
+    const points = [];
+    if (!this.field) return points;
+    
+    for (let gy = 0; gy < this.rows; gy++) {
+      for (let gx = 0; gx < this.columns; gx++) {
+        const i = gy * this.columns + gx;
+        if (this.inside[i] || this.field[i] === 0) continue;
+        points.push({ x: gx * this.step / width, y: gy * this.step / height, fade: this.field[i] });
+      }
+    }
+    return points;
+  }
+  
+  /**
+   * Draw the trail as a ghost silhouette in one color (scaled up from the grid,
+   * which may overhang the canvas by less than a step)
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number[]} rgb - [r, g, b] 0-255
+   */
+  draw(ctx, rgb, opacity, blend) {
+    if (!this.field) return;
+    
+    if (!this.canvas || this.canvas.width !== this.columns || this.canvas.height !== this.rows) {
+      this.canvas = createCanvas(this.columns, this.rows);
+      this.canvasCtx = this.canvas.getContext('2d');
+      this.image = this.canvasCtx.createImageData(this.columns, this.rows);
+    }
+    
+    const data = this.image.data;
+    for (let i = 0; i < this.field.length; i++) {
+      const p = i * 4;
+      data[p] = rgb[0];
+      data[p + 1] = rgb[1];
+      data[p + 2] = rgb[2];
+      data[p + 3] = this.inside[i] ? 0 : this.field[i] * 255;
+    }
+    this.canvasCtx.putImageData(this.image, 0, 0);
+    
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.globalCompositeOperation = blend;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.canvas, 0, 0, this.columns * this.step, this.rows * this.step);
+    ctx.restore();
+  }
+}
+
+/**
+ * The last few frames (echo) or snapshots spread over a few seconds (exposure)
+ * Frames are whatever the owner keeps: canvases on the TV, sample points on the walls.
+ */
+export class FrameTrail {
+  constructor() {
+    this.frames = [];
+    this.mode = 'off';
+    this.lastCapture = 0;
+  }
+  
+  reset() {
+    this.frames = [];
+    this.lastCapture = 0;
+  }
+  
+  /**
+   * How many frames are kept in this mode
+   */
+  getLength(options) {
+    if (options.mode === 'exposure') return EXPOSURE_SNAPSHOTS;
+    return Math.max(1, Math.round(options.frames));
+  }
+  
+  /**
+   * Keep a frame if one is due (echo: every frame, exposure: every exposure / EXPOSURE_SNAPSHOTS)
+   * @param {Object} options - see DEFAULT_TRAIL_OPTIONS
+   * @param {Function} capture - (recycled) => frame; recycled is the dropped oldest frame (or null) to reuse
+   * @returns {boolean} whether this frame was kept
+   */
+  capture(options, capture, now = performance.now()) {
+    const o = { ...DEFAULT_TRAIL_OPTIONS, ...options };
+    if (o.mode !== this.mode) {
+      this.reset();
+      this.mode = o.mode;
+    }
+    
+    if (o.mode === 'exposure' && now - this.lastCapture < o.exposure * 1000 / EXPOSURE_SNAPSHOTS) {
+      return false;
+    }
+    this.lastCapture = now;
+    
+    const length = this.getLength(o);
+    let recycled = null;
+    while (this.frames.length >= length) {
+      recycled = this.frames.shift();
+    }
+    this.frames.push(capture(recycled));
+    return true;
+  }
+  
+  /**
+   * Kept frames, oldest first, with their fade (newest 1, then linearly down to 1 / length)
+   * @returns {Array<{frame, fade}>}
+   */
+  entries(options) {
+    const length = this.getLength({ ...DEFAULT_TRAIL_OPTIONS, ...options });
+    const newest = this.frames.length - 1;
+    return this.frames.map((frame, i) => ({ frame, fade: 1 - (newest - i) / length }));
+  }
+}
+
+/**
+ * Copy a canvas into a (recycled) snapshot canvas at `scale` of its size
+ */
+export function snapshotCanvas(source, recycled, scale = 0.5) {
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const snapshot = recycled && recycled.width === width && recycled.height === height
+    ? recycled
+    : createCanvas(width, height);
+  
+  const ctx = snapshot.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  return snapshot;
+}
@@ -0,0 +1,73 @@
+/**
+ * Silhouette worker - runs WebcamTextRenderer off the main thread
+ * Receives frames (VideoFrame or ImageBitmap) together with the renderer
+ * state, draws the text silhouette into an OffscreenCanvas and sends the
+ * result back as an ImageBitmap. Started by WebcamTextRenderer.enableWorker().
+ */
+import { WebcamTextRenderer } from './webcam-text-renderer.js';
+
+let renderer = null;
+
+self.onmessage = (event) => {
+  const data = event.data;
+  
+  switch (data.type) {
+    case 'init':
+      init(data.width, data.height);
+      break;
+    
+    case 'frame':
+      renderFrame(data.frame, data.state);
+      break;
+    
+    case 'resize':
+      if (renderer) renderer.setSize(data.width, data.height);
+      break;
+    
+    case 'captureBackground':
+      if (renderer) renderer.captureEmptyRoom();
+      break;
+    
+    case 'exportFrame':
+      self.postMessage({ type: 'exportFrame', id: data.id, frame: renderer ? renderer.buildExportFrame() : null });
+      break;
+  }
+};
+
+function init(width, height) {
+  try {
+    const canvas = new OffscreenCanvas(width, height);
+    renderer = new WebcamTextRenderer(width, height, { canvas, headless: true });
+    
+    if (!renderer.ctx) {
+      throw new Error('OffscreenCanvas 2D context not available');
+    }
+    
+    self.postMessage({ type: 'ready' });
+  } catch (error) {
+    renderer = null;
+    self.postMessage({ type: 'error', message: error.message });
+  }
+}
+
+function renderFrame(frame, state) {
+  if (!renderer) {
+    frame.close();
+    self.postMessage({ type: 'frame', bitmap: null });
+    return;
+  }
+  
+  try {
+    renderer.applyRenderState(state);
+    renderer.renderDrawable(frame);
+    
+    // frameStats feed the main thread's presence events
+    const bitmap = renderer.canvas.transferToImageBitmap();
+    self.postMessage({ type: 'frame', bitmap, stats: renderer.frameStats }, [bitmap]);
+  } catch (error) {
+    console.error('Worker render error:', error);
+    self.postMessage({ type: 'frame', bitmap: null });
+  } finally {
+    frame.close();
+  }
+}
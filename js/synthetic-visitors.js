@@ -0,0 +1,301 @@
+/**
+ * SyntheticVisitorSource - Seeded generator of animated person silhouettes
+ * A camera-free input source: visitors walk in, sway and raise their arms.
+ * The same seed always produces the same frames, so output can be compared
+ * frame by frame (use the manual clock for that).
+ */
+import { InputSource } from './input-sources.js';
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function lerp(start, end, t) {
+  return start + (end - start) * t;
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export class SyntheticVisitorSource extends InputSource {
+  static DEFAULTS = {
+    seed: 1,
+    width: 320,
+    height: 240,
+    people: 1,
+    behaviors: ['walk', 'sway', 'arms'],
+    cycle: 0,              // Seconds before the scene loops (0 = never)
+    clock: 'realtime',     // 'realtime' or 'manual' (advance with step()/setTime())
+    fps: 30,               // Step size for the manual clock
+    background: '#d0d0d0', // Lit room behind the visitors
+    figureColor: '#101010' // Dark silhouettes pass the default threshold
+  };
+  
+  constructor(options = {}) {
+    super();
+    this.options = { ...SyntheticVisitorSource.DEFAULTS, ...options };
+    
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.options.width;
+    this.canvas.height = this.options.height;
+    this.ctx = this.canvas.getContext('2d');
+    
+    this.time = 0;
+    this.startTime = 0;
+    this.lastRenderedTime = -1;
+    
+    this.visitors = this.createVisitors();
+  }
+  
+  /**
+   * Build the visitor list from the seed
+   */
+  createVisitors() {
+    const random = createSeededRandom(this.options.seed);
+    const count = Math.max(1, this.options.people);
+    const visitors = [];
+    
+    for (let i = 0; i < count; i++) {
+      // Spread people across the frame with a little jitter
+      const slot = (i + 0.5) / count;
+      visitors.push({
+        targetX: Math.min(0.9, Math.max(0.1, slot + (random() - 0.5) * 0.15 / count)),
+        height: 0.75 + random() * 0.2,
+        build: 0.9 + random() * 0.25,
+        enterAt: i * 1.5 + random(),
+        enterFrom: random() < 0.5 ? -1 : 1,
+        walkDuration: 2.5 + random() * 1.5,
+        stepRate: 3.5 + random() * 1.5,
+        swayRate: 0.3 + random() * 0.3,
+        swayAmount: 0.01 + random() * 0.02,
+        swayPhase: random() * Math.PI * 2,
+        armPeriod: 6 + random() * 4,
+        armPhase: random() * 10,
+        armSide: random() < 0.5 ? 'both' : (random() < 0.5 ? 'left' : 'right')
+      });
+    }
+    
+    return visitors;
+  }
+  
+  async start() {
+    this.startTime = performance.now();
+    this.isStarted = true;
+    console.log(`🧍 SyntheticVisitorSource started: ${this.visitors.length} visitor(s), seed ${this.options.seed}`);
+    return true;
+  }
+  
+  isReady() {
+    return this.isStarted;
+  }
+  
+  /**
+   * Current scene time in seconds
+   */
+  getTime() {
+    if (this.options.clock === 'manual') {
+      return this.time;
+    }
+    return (performance.now() - this.startTime) / 1000;
+  }
+  
+  /**
+   * Jump to a scene time (manual clock)
+   */
+  setTime(seconds) {
+    this.time = seconds;
+  }
+  
+  /**
+   * Advance one frame (manual clock)
+   */
+  step(dt = 1 / this.options.fps) {
+    this.time += dt;
+  }
+  
+  getDrawable() {
+    const time = this.getTime();
+    
+    // Several consumers may read the same frame - only render once per time
+    if (time !== this.lastRenderedTime) {
+      this.renderFrame(time);
+      this.lastRenderedTime = time;
+    }
+    
+    return this.canvas;
+  }
+  
+  getSize() {
+    return { width: this.canvas.width, height: this.canvas.height };
+  }
+  
+  getFrameTime() {
+    return this.getTime();
+  }
+  
+  /**
+   * Render the full source frame: lit background plus dark figures
+   */
+  renderFrame(time) {
+    const { width, height } = this.canvas;
+    this.ctx.fillStyle = this.options.background;
+    this.ctx.fillRect(0, 0, width, height);
+    this.drawFigures(this.ctx, width, height, this.options.figureColor, time);
+  }
+  
+  /**
+   * Draw every visitor's silhouette into any context
+   * Also used on its own as a clip mask by the placeholder animations
+   */
+  drawFigures(ctx, width, height, color = '#FFFFFF', time = this.getTime()) {
+    const sceneTime = this.options.cycle > 0 ? time % this.options.cycle : time;
+    
+    for (const visitor of this.visitors) {
+      const pose = this.getPose(visitor, sceneTime);
+      if (pose) {
+        this.drawFigure(ctx, width, height, pose, color);
+      }
+    }
+  }
+  
+  /**
+   * Keep only what is already drawn in ctx that falls inside a silhouette
+   */
+  clipToFigures(ctx, width, height) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-in';
+    this.drawFigures(ctx, width, height, '#FFFFFF');
+    ctx.restore();
+  }
+  
+  /**
+   * Work out where a visitor is and what they are doing at a given time
+   * Returns null when the visitor is off screen
+   */
+  getPose(visitor, t) {
+    const behaviors = this.options.behaviors;
+    const walks = behaviors.includes('walk');
+    const offscreenX = visitor.enterFrom < 0 ? -0.25 : 1.25;
+    
+    let x = visitor.targetX;
+    let walking = 0;
+    
+    if (walks) {
+      if (t < visitor.enterAt) return null;
+      
+      const enterProgress = (t - visitor.enterAt) / visitor.walkDuration;
+      if (enterProgress < 1) {
+        x = lerp(offscreenX, visitor.targetX, easeInOutCubic(enterProgress));
+        walking = 1;
+      }
+      
+      // Walk back out before the scene loops
+      if (this.options.cycle > 0) {
+        const leaveAt = this.options.cycle - visitor.walkDuration - 0.5;
+        if (t > leaveAt) {
+          const leaveProgress = Math.min(1, (t - leaveAt) / visitor.walkDuration);
+          x = lerp(visitor.targetX, offscreenX, easeInOutCubic(leaveProgress));
+          walking = leaveProgress < 1 ? 1 : 0;
+        }
+      }
+    }
+    
+    let lean = 0;
+    if (behaviors.includes('sway') && !walking) {
+      const sway = Math.sin(t * visitor.swayRate * Math.PI * 2 + visitor.swayPhase);
+      x += sway * visitor.swayAmount;
+      lean = sway * 0.04;
+    }
+    
+    // Arms raise briefly once per period
+    let raise = 0;
+    if (behaviors.includes('arms') && !walking) {
+      const cycle = ((t + visitor.armPhase) % visitor.armPeriod) / visitor.armPeriod;
+      if (cycle < 0.3) {
+        raise = Math.sin((cycle / 0.3) * Math.PI);
+      }
+    }
+    
+    const step = walking ? Math.sin(t * visitor.stepRate * Math.PI) : 0;
+    
+    return {
+      x,
+      lean,
+      step,
+      raiseLeft: visitor.armSide === 'right' ? 0 : raise,
+      raiseRight: visitor.armSide === 'left' ? 0 : raise,
+      height: visitor.height,
+      build: visitor.build
+    };
+  }
+  
+  /**
+   * Draw one person-shaped silhouette (feet anchored to the bottom edge)
+   */
+  drawFigure(ctx, width, height, pose, color) {
+    const H = pose.height * height;
+    const build = pose.build;
+    
+    ctx.save();
+    ctx.translate(pose.x * width, height + H * 0.02);
+    ctx.rotate(pose.lean);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    // Head and neck
+    const headRadius = H * 0.075;
+    const headY = -H + headRadius;
+    ctx.beginPath();
+    ctx.ellipse(0, headY, headRadius * 0.85, headRadius, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillRect(-headRadius * 0.35, headY, headRadius * 0.7, headRadius * 1.6);
+    
+    // Torso
+    const shoulderY = -H * 0.8;
+    const hipY = -H * 0.47;
+    const shoulderHalf = H * 0.13 * build;
+    const hipHalf = H * 0.095 * build;
+    ctx.beginPath();
+    ctx.moveTo(-shoulderHalf, shoulderY);
+    ctx.quadraticCurveTo(0, shoulderY - H * 0.03, shoulderHalf, shoulderY);
+    ctx.lineTo(hipHalf, hipY);
+    ctx.lineTo(-hipHalf, hipY);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Arms: angle measured from hanging straight down
+    const armLength = H * 0.36;
+    ctx.lineWidth = H * 0.055;
+    const swing = pose.step * 0.35;
+    this.drawLimb(ctx, -shoulderHalf * 0.85, shoulderY + H * 0.02, armLength, -(0.12 + pose.raiseLeft * 2.4) + swing);
+    this.drawLimb(ctx, shoulderHalf * 0.85, shoulderY + H * 0.02, armLength, 0.12 + pose.raiseRight * 2.4 - swing);
+    
+    // Legs
+    const legLength = H * 0.46;
+    ctx.lineWidth = H * 0.07;
+    this.drawLimb(ctx, -hipHalf * 0.5, hipY, legLength, -0.05 - pose.step * 0.3);
+    this.drawLimb(ctx, hipHalf * 0.5, hipY, legLength, 0.05 + pose.step * 0.3);
+    
+    ctx.restore();
+  }
+  
+  drawLimb(ctx, x, y, length, angle) {
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + Math.sin(angle) * length, y + Math.cos(angle) * length);
+    ctx.stroke();
+  }
+}
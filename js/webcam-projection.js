@@ -1,8 +1,15 @@
 /**
  * WebcamProjection - Webcam-based pixel projection for the left wall
  * Shows pixels where the thresholded webcam feed is white (bright)
+ * Dispatches the same presence events as WebcamTextRenderer (see silhouette-presence.js)
  */
-export class WebcamProjection {
+import { SilhouetteAnalyzer } from './silhouette-analysis.js';
+import { getCameraStream } from './camera-stream.js';
+import { PresenceMonitor } from './silhouette-presence.js';
+import { MaskTrail, FrameTrail, thinPoints } from './silhouette-trails.js';
+import { MaskDelayBuffer } from './silhouette-delay.js';
+
+export class WebcamProjection extends EventTarget {
   // Detect if on mobile device
   static isMobile() {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) 
@@ -26,6 +33,8 @@ export class WebcamProjection {
   };
   
   constructor(width = 320, height = 240) {
+    super();
+    
     // Lower resolution for performance - we're sampling, not displaying
     this.width = width;
     this.height = height;
@@ -40,25 +49,39 @@ export class WebcamProjection {
     this.canvas.height = height;
     this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
     
-    // Video element for webcam
-    this.video = document.createElement('video');
-    this.video.width = width;
-    this.video.height = height;
-    this.video.autoplay = true;
-    this.video.playsInline = true;
-    this.video.muted = true;
-    this.video.setAttribute('playsinline', '');
-    this.video.setAttribute('webkit-playsinline', '');
+    // Shared webcam stream (one camera for the TV and both walls)
+    this.camera = getCameraStream();
+    this.video = this.camera.video;
     
     // Camera state
-    this.currentStream = null;
     this.isInitialized = false;
     this.isInitializing = false;
     
+    // Optional non-camera input (video file, image sequence, canvas)
+    this.source = null;
+    
     // Cached image data
     this.imageData = null;
+    
+    // Shared threshold/mask analysis (same core as WebcamTextRenderer)
+    this.analyzer = new SilhouetteAnalyzer();
     this.lastFrameTime = 0;
     
+    // Debounced visitor / camera events
+    this.presence = new PresenceMonitor(this);
+    this.replaying = false;
+    
+    // Afterimage / echo / long exposure pixels (see trailMode)
+    this.maskTrail = new MaskTrail();
+    this.frameTrail = new FrameTrail();
+    
+    // Masks from the last few seconds (see settings.delay)
+    this.delayBuffer = new MaskDelayBuffer();
+    this.delayMask = null;
+    this.delayFrame = null;
+    this.delayMix = 0;          // 0 = live, 1 = delayed (crossfades between them)
+    this.delayUpdatedAt = 0;
+    
     // Settings with device-specific defaults
     this.settings = {
       threshold: defaults.threshold,
@@ -69,7 +92,27 @@ export class WebcamProjection {
       flipHorizontal: true,    // Mirror the webcam (natural for facing camera)
       flipVertical: false,     // Flip Y axis (may be needed on some mobile devices)
       invert: this.isMobile,   // On mobile: true (show silhouette), desktop: false (show bright areas)
-      intensity: defaults.intensity
+      thresholdMode: 'fixed',  // 'fixed', 'otsu', 'adaptive' or 'background' (see silhouette-analysis.js)
+      adaptiveBlockSize: 15,   // Smaller than the TV's - the walls sample a 240x180 frame
+      adaptiveOffset: 7,
+      backgroundDifference: 30,
+      backgroundAdaptRate: 0.002,
+      intensity: defaults.intensity,
+      
+      // What movement leaves behind (see silhouette-trails.js): 'off', 'afterimage',
+      // 'echo' or 'exposure' - extra pixels with a fade, dimmer the older they are
+      trailMode: 'off',
+      trailDecay: 0.9,         // Afterimage left after each frame (0-1)
+      trailFrames: 8,          // Echo length
+      trailExposure: 4,        // Long exposure length in seconds
+      trailOpacity: 0.6,       // Brightness of the trail pixels
+      
+      // Replay the silhouette from `delay` seconds ago instead of live (see
+      // silhouette-delay.js); the buffer stays within delayMemory MB and
+      // switching between live and delayed blends over delayCrossfade seconds
+      delay: 0,
+      delayMemory: 8,
+      delayCrossfade: 1
     };
     
     // Sampling grid - positions where we check brightness
@@ -90,43 +133,21 @@ export class WebcamProjection {
     
     this.isInitializing = true;
     
-    try {
-      console.log('🎥 WebcamProjection: Initializing webcam...');
-      
-      const constraints = {
-        video: {
-          width: { ideal: this.width },
-          height: { ideal: this.height },
-          facingMode: 'user',
-          frameRate: { ideal: 30, max: 30 }
-        },
-        audio: false
-      };
-      
-      this.currentStream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.video.srcObject = this.currentStream;
-      
-      // Wait for video to be ready
-      await new Promise((resolve, reject) => {
-        this.video.onloadedmetadata = () => {
-          this.video.play()
-            .then(resolve)
-            .catch(reject);
-        };
-        this.video.onerror = reject;
-      });
-      
-      this.isInitialized = true;
-      this.isInitializing = false;
-      
+    console.log('🎥 WebcamProjection: Joining shared camera stream...');
+    
+    // Opens the camera only if no other surface has already
+    const success = await this.camera.acquire(this);
+    
+    this.isInitialized = success;
+    this.isInitializing = false;
+    
+    if (success) {
       console.log('✅ WebcamProjection: Webcam initialized');
-      return true;
-      
-    } catch (error) {
-      console.error('❌ WebcamProjection: Failed to initialize:', error);
-      this.isInitializing = false;
-      return false;
+    } else {
+      console.error('❌ WebcamProjection: Failed to initialize');
     }
+    
+    return success;
   }
   
   /**
@@ -134,12 +155,15 @@ export class WebcamProjection {
    * Returns array of normalized positions (0-1) where pixels should appear
    */
   captureFrame() {
-    if (!this.isInitialized || !this.video.videoWidth) {
+    if (!this.isReady()) {
       return [];
     }
     
-    // Draw video frame to canvas
-    this.ctx.drawImage(this.video, 0, 0, this.width, this.height);
+    this.presence.watch(this.source ? this.source.getFrameTime() : this.video.currentTime);
+    
+    // Draw video (or alternate source) frame to canvas
+    const drawable = this.source ? this.source.getDrawable() : this.video;
+    this.ctx.drawImage(drawable, 0, 0, this.width, this.height);
     
     // Get pixel data
     this.imageData = this.ctx.getImageData(0, 0, this.width, this.height);
@@ -154,64 +178,162 @@ export class WebcamProjection {
   sampleThresholdedPositions() {
     if (!this.imageData) return [];
     
-    const pixels = this.imageData.data;
-    const positions = [];
-    const width = this.width;
-    const height = this.height;
-    const threshold = this.settings.threshold;
-    const invert = this.settings.invert;
-    const flipH = this.settings.flipHorizontal;
-    const flipV = this.settings.flipVertical;
-    const maxSamples = this.maxSamples;
-    
-    // Calculate sample step based on density (optimized)
+    // Calculate sample step based on density
     // Higher density = smaller step = more samples
     const densityFactor = this.settings.pixelDensity / 100;
     const baseStep = Math.max(1, Math.floor(3 / densityFactor));
     
-    // Pre-calculate width inverse for normalization
-    const invWidth = 1 / width;
-    const invHeight = 1 / height;
+    this.analyzer.analyze(this.imageData, {
+      ...this.getAnalysisOptions(),
+      samples: true,
+      sampleStep: baseStep,
+      maxSamples: this.maxSamples,
+      motion: true
+    });
     
-    // First pass: collect ALL positions that pass threshold
-    // This ensures even sampling across entire frame (no bottom cropping)
-    for (let y = 0; y < height; y += baseStep) {
-      // Apply vertical flip if needed (for mobile camera orientation)
-      const sampleY = flipV ? (height - 1 - y) : y;
-      const rowOffset = sampleY * width;
-      
-      for (let x = 0; x < width; x += baseStep) {
-        const sampleX = flipH ? (width - 1 - x) : x;
-        const idx = (rowOffset + sampleX) << 2; // Faster than * 4
-        
-        // Fast brightness calculation (approximate)
-        const brightness = (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) * 0.333333;
-        
-        // Check threshold
-        const passesThreshold = invert ? (brightness < threshold) : (brightness > threshold);
-        
-        if (passesThreshold) {
-          positions.push({
-            x: x * invWidth,
-            y: y * invHeight
-          });
-        }
+    this.presence.update({ coverage: this.analyzer.coverage, motion: this.analyzer.motion });
+    
+    const { samples, mask } = this.applyDelay(this.analyzer.samples, baseStep);
+    return this.addTrail(samples, mask, baseStep);
+  }
+  
+  /**
+   * This frame's points, or the silhouette from settings.delay seconds ago
+   * Until the buffer reaches back that far (and after the delay is turned
+   * off) the wall shows live; each switch crossfades over delayCrossfade seconds.
+   * @returns {{samples: Array, mask: Uint8Array}} points (with `fade` while blending) and the mask shown
+   */
+  applyDelay(samples, step, now = performance.now()) {
+    const delay = this.settings.delay;
+    const elapsed = Math.min(1, (now - this.delayUpdatedAt) / 1000);
+    this.delayUpdatedAt = now;
+    
+    this.delayBuffer.setOptions({ delay, maxMemory: this.settings.delayMemory });
+    let frame = null;
+    if (delay > 0) {
+      this.delayBuffer.push(this.analyzer.mask, this.width, this.height, now);
+      frame = this.delayBuffer.getFrame(now);
+      if (frame) this.delayFrame = frame;
+    }
+    
+    // Toward delayed while there is a frame old enough, back toward live otherwise
+    const target = frame ? 1 : 0;
+    const crossfade = this.settings.delayCrossfade;
+    const change = crossfade > 0 ? elapsed / crossfade : 1;
+    this.delayMix = target > this.delayMix
+      ? Math.min(target, this.delayMix + change)
+      : Math.max(target, this.delayMix - change);
+    
+    if (this.delayMix === 0 || !this.delayFrame) {
+      if (delay <= 0) {
+        this.delayBuffer.reset();
+        this.delayFrame = null;
       }
+      return { samples, mask: this.analyzer.mask };
+    }
+    
+    const delayed = this.delayBuffer.samples(this.delayFrame, step, this.maxSamples);
+    this.delayMask = this.delayBuffer.unpack(this.delayFrame, this.delayMask || undefined);
+    if (this.delayMix === 1) {
+      return { samples: delayed, mask: this.delayMask };
+    }
+    
+    // Crossfade: both silhouettes, each dimmed by its share
+    const mix = this.delayMix;
+    const budget = Math.floor(this.maxSamples / 2);
+    const blended = thinPoints(samples, budget).map(point => ({ x: point.x, y: point.y, fade: 1 - mix }))
+      .concat(thinPoints(delayed, budget).map(point => ({ x: point.x, y: point.y, fade: mix })));
+    return { samples: blended, mask: mix < 0.5 ? this.analyzer.mask : this.delayMask };
+  }
+  
+  /**
+   * Add the trail (settings.trailMode) to this frame's points
+   * Trail points carry a `fade` (0-1) to dim them by; the total stays within maxSamples
+   * @param {Uint8Array} mask - the mask the samples come from (live or delayed)
+   */
+  addTrail(samples, mask, step) {
+    const mode = this.settings.trailMode;
+    if (mode === 'off') {
+      this.maskTrail.reset();
+      this.frameTrail.reset();
+      return samples;
     }
     
-    // If we have more positions than maxSamples, downsample evenly
-    // This maintains even distribution across the entire frame
-    if (positions.length > maxSamples) {
-      const step = positions.length / maxSamples;
-      const sampled = [];
-      for (let i = 0; i < maxSamples; i++) {
-        const idx = Math.floor(i * step);
-        sampled.push(positions[idx]);
+    const options = {
+      mode,
+      decay: this.settings.trailDecay,
+      frames: this.settings.trailFrames,
+      exposure: this.settings.trailExposure,
+      step
+    };
+    const opacity = this.settings.trailOpacity;
+    const trail = [];
+    
+    if (mode === 'echo') {
+      // Earlier frames' points as they were
+      this.maskTrail.reset();
+      const kept = this.frameTrail.capture(options, () => samples);
+      const entries = this.frameTrail.entries(options);
+      if (kept) entries.pop();   // This frame itself
+      for (const { frame, fade } of entries) {
+        for (const point of frame) {
+          trail.push({ x: point.x, y: point.y, fade: fade * opacity });
+        }
+      }
+    } else {
+      // Afterimage and exposure: where the fading mask is left
+      this.frameTrail.reset();
+      this.maskTrail.update(mask, this.width, this.height, options);
+      for (const point of this.maskTrail.samples(this.width, this.height)) {
+        point.fade *= opacity;
+        trail.push(point);
       }
-      return sampled;
     }
     
-    return positions;
+    return samples.concat(thinPoints(trail, this.maxSamples - samples.length));
+  }
+  
+  /**
+   * SilhouetteAnalyzer threshold options for the current settings
+   */
+  getAnalysisOptions() {
+    return {
+      threshold: this.settings.threshold,
+      polarity: this.getPolarity(),
+      flipHorizontal: this.settings.flipHorizontal,
+      flipVertical: this.settings.flipVertical,
+      thresholdMode: this.replaying && this.settings.thresholdMode === 'background' ? 'fixed' : this.settings.thresholdMode,
+      adaptiveBlockSize: this.settings.adaptiveBlockSize,
+      adaptiveOffset: this.settings.adaptiveOffset,
+      backgroundDifference: this.settings.backgroundDifference,
+      backgroundAdaptRate: this.settings.backgroundAdaptRate
+    };
+  }
+  
+  /**
+   * Mark the input as a replay of earlier visitors (attract mode): 'background'
+   * thresholding falls back to 'fixed' meanwhile, so the learned empty room is
+   * neither replaced nor adapted to the replay and still holds at the hand-back
+   */
+  setReplaying(replaying) {
+    this.replaying = replaying;
+  }
+  
+  /**
+   * "Capture empty room": learn the background from the next frame
+   * Used by thresholdMode 'background' - step out of view first
+   */
+  captureEmptyRoom() {
+    this.analyzer.captureBackground();
+    console.log('🏠 WebcamProjection: Capturing empty room on next frame');
+  }
+  
+  /**
+   * Which side of the threshold is kept
+   * invert = true shows the dark silhouette, false shows bright areas
+   */
+  getPolarity() {
+    return this.settings.invert ? 'dark' : 'bright';
   }
   
   /**
@@ -223,36 +345,18 @@ export class WebcamProjection {
   getBrightnessAt(nx, ny) {
     if (!this.imageData) return -1;
     
-    let x = Math.floor(nx * this.width);
-    let y = Math.floor(ny * this.height);
-    
-    // Apply flip
-    if (this.settings.flipHorizontal) {
-      x = this.width - 1 - x;
-    }
-    
-    // Clamp to bounds
-    x = Math.max(0, Math.min(this.width - 1, x));
-    y = Math.max(0, Math.min(this.height - 1, y));
-    
-    const idx = (y * this.width + x) * 4;
-    const pixels = this.imageData.data;
-    
-    return (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3;
+    // Analyzer brightness is already flipped to display orientation
+    return this.analyzer.getBrightness(nx * this.width, ny * this.height);
   }
   
   /**
    * Check if a normalized position passes threshold
    */
   passesThreshold(nx, ny) {
-    const brightness = this.getBrightnessAt(nx, ny);
-    if (brightness < 0) return false;
+    if (!this.imageData) return false;
     
-    if (this.settings.invert) {
-      return brightness < this.settings.threshold;
-    } else {
-      return brightness > this.settings.threshold;
-    }
+    // Mask covers every threshold mode (fixed, otsu, adaptive, background)
+    return this.analyzer.isInside(nx * this.width, ny * this.height);
   }
   
   /**
@@ -288,13 +392,34 @@ export class WebcamProjection {
    * Check if webcam is ready
    */
   isReady() {
-    return this.isInitialized && this.video.videoWidth > 0;
+    if (this.source) {
+      return this.source.isReady();
+    }
+    return this.camera.isReady();
+  }
+  
+  /**
+   * Use a non-camera input source (see input-sources.js)
+   * Pass null to go back to the webcam. The caller owns the source, so one
+   * source can feed several renderers and is never stopped here.
+   */
+  async setSource(source) {
+    this.source = source;
+    
+    if (!source) {
+      return this.isInitialized;
+    }
+    
+    return source.start();
   }
   
   /**
    * Get the actual webcam aspect ratio
    */
   getAspectRatio() {
+    if (this.source) {
+      return this.source.getAspectRatio();
+    }
     if (this.video.videoWidth && this.video.videoHeight) {
       return this.video.videoWidth / this.video.videoHeight;
     }
@@ -305,10 +430,10 @@ export class WebcamProjection {
    * Cleanup resources
    */
   dispose() {
-    if (this.currentStream) {
-      this.currentStream.getTracks().forEach(track => track.stop());
-      this.currentStream = null;
-    }
+    this.source = null;
+    
+    // Leave the shared stream (closed once the last consumer is gone)
+    this.camera.release(this);
     this.isInitialized = false;
   }
 }
@@ -1,39 +1,82 @@
 /**
  * WebcamTextRenderer - Native webcam text silhouette renderer
  * Replaces the WORD SILHOUETTE.html iframe implementation
+ * Dispatches presence events (visitorenter, visitorleave, coveragechange,
+ * motion, camerastall, cameraresume - see silhouette-presence.js)
  */
-export class WebcamTextRenderer {
-  constructor(width = 640, height = 480) {
+import { SilhouetteAnalyzer } from './silhouette-analysis.js';
+import { getCameraStream } from './camera-stream.js';
+import { GlyphAtlasRenderer } from './glyph-atlas-renderer.js';
+import { SilhouetteRecorder, downloadBlob, timestamp } from './silhouette-recorder.js';
+import { createSVG, renderPrintPNG } from './silhouette-export.js';
+import { createPreset } from './silhouette-presets.js';
+import { PANEL_COLORS, parseColor, nearestColor, resolveCellColor, toHexColor } from './silhouette-colors.js';
+import { buildWordGrid, buildLayoutCells, HALFTONE_SCALE } from './silhouette-layouts.js';
+import { layoutTextOnRing, glyphRuns } from './silhouette-contours.js';
+import { PresenceMonitor } from './silhouette-presence.js';
+import { MaskTrail, FrameTrail, getTrailBlend, snapshotCanvas } from './silhouette-trails.js';
+
+export class WebcamTextRenderer extends EventTarget {
+  // Space between a cell edge and its word (shared by the 2D and WebGL backends)
+  static CELL_PADDING = 2;
+  
+  // Default word list (copied per renderer, see resetWords)
+  static DEFAULT_WORDS = [
+    { text: "YOU ARE", color: "#FF0000", font: "monospace", size: 24 },
+    { text: "YOUR CHOICES", color: "#FFFF00", font: "serif", size: 22 },
+    { text: "PUBLIC SELF", color: "#0000FF", font: "monospace", size: 17 },
+    { text: "POSSIBILITY", color: "#00FF00", font: "monospace", size: 17 }
+  ];
+  
+  // Default background word list for negative space mode (see resetOutsideWords)
+  static DEFAULT_OUTSIDE_WORDS = [
+    { text: "EVERYONE ELSE", color: "#2600FF", font: "monospace", size: 12 },
+    { text: "THEY SAY", color: "#FF0505", font: "serif", size: 12 },
+    { text: "THE CROWD", color: "#11FF00", font: "monospace", size: 12 },
+    { text: "NOISE", color: "#FDFF00", font: "sans-serif", size: 12 }
+  ];
+  
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} options
+   * @param {HTMLCanvasElement|OffscreenCanvas} options.canvas - draw into this canvas instead of a new one
+   * @param {boolean} options.headless - no camera or DOM access (used inside the silhouette worker)
+   */
+  constructor(width = 640, height = 480, options = {}) {
+    super();
+    this.headless = !!options.headless;
+    
     // Canvas setup
-    this.canvas = document.createElement('canvas');
+    this.canvas = options.canvas || document.createElement('canvas');
     this.canvas.width = width;
     this.canvas.height = height;
     this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
     
-    // Video element for webcam
-    this.video = document.createElement('video');
-    this.video.width = width;
-    this.video.height = height;
-    this.video.autoplay = true;
-    this.video.playsInline = true;
-    this.video.muted = true; // Required for iOS Safari autoplay
-    this.video.setAttribute('playsinline', ''); // iOS Safari
-    this.video.setAttribute('webkit-playsinline', ''); // Older iOS Safari
-    this.video.setAttribute('muted', '');
+    // Shared webcam stream (one camera for the TV and both walls)
+    this.camera = options.headless ? null : getCameraStream();
+    this.video = this.camera ? this.camera.video : null;
+    
+    // Off-main-thread rendering (see enableWorker)
+    this.worker = null;
+    this.workerBusy = false;
+    this.workerLastFrameTime = -1;
+    this.exportRequests = new Map();
+    this.exportRequestId = 0;
     
     // Camera state
-    this.currentStream = null;
     this.currentCameraId = null;
     this.cameras = [];
     this.isInitialized = false;
     
+    // Optional non-camera input (video file, image sequence, canvas)
+    this.source = null;
+    
     // Safari detection (includes both iOS and macOS Safari)
     this.isSafari = navigator.userAgent.includes('Safari') && !navigator.userAgent.includes('Chrome') && !navigator.userAgent.includes('Chromium');
     this.isIOSSafari = /iPad|iPhone|iPod/.test(navigator.userAgent) || 
-      (this.isSafari && 'ontouchend' in document);
+      (this.isSafari && typeof document !== 'undefined' && 'ontouchend' in document);
     this.isDesktopSafari = this.isSafari && !this.isIOSSafari;
-    this.lastVideoTime = 0;
-    this.videoKeepAliveInterval = null;
     
     // Safari frame caching - keep last good frame when video stalls (for both desktop and mobile)
     this.lastGoodImageData = null;
@@ -43,20 +86,51 @@ export class WebcamTextRenderer {
     console.log('🔍 WebcamTextRenderer Safari detection:', { isSafari: this.isSafari, isIOSSafari: this.isIOSSafari, isDesktopSafari: this.isDesktopSafari });
     
     // Word definitions with CORRECT colors
-    this.words = [
-      { text: "YOU ARE", color: "#FF0000", font: "monospace", size: 24 },
-      { text: "YOUR CHOICES", color: "#FFFF00", font: "serif", size: 22 },
-      { text: "PUBLIC SELF", color: "#0000FF", font: "monospace", size: 17 },
-      { text: "POSSIBILITY", color: "#00FF00", font: "monospace", size: 17 }
-    ];
+    this.words = WebcamTextRenderer.DEFAULT_WORDS.map(word => ({ ...word }));
+    
+    // Background words (negative space mode)
+    this.outsideWords = WebcamTextRenderer.DEFAULT_OUTSIDE_WORDS.map(word => ({ ...word }));
     
     // Text grid
     this.textGrid = [];
+    this.gridVersion = 0;
     this.textColumns = 0;
     this.textRows = 0;
     
+    // Background text grid (negative space mode, own density)
+    this.outsideTextGrid = [];
+    this.outsideColumns = 0;
+    this.outsideRows = 0;
+    
+    // Layout cells per text layer (see getLayoutCells) and the smoothed
+    // silhouette center the radial layout follows
+    this.layoutCache = {};
+    this.layoutCenter = null;
+    
+    // WebGL glyph-atlas backends, one per text layer (created when textBackend is 'webgl')
+    this.glyphBackends = {};
+    this.glyphBackendFailed = false;
+    
     // Contour detection
     this.edgePixels = [];
+    this.contourPaths = [];
+    this.contourTextOffset = 0;
+    this.glyphWidths = new Map();   // "font|char" -> width, for text on the outline
+    
+    // Shared threshold/mask/edge analysis (same core as WebcamProjection)
+    this.analyzer = new SilhouetteAnalyzer();
+    
+    // Debounced visitor / camera events; frameStats is what they are computed from
+    this.presence = new PresenceMonitor(this);
+    this.frameStats = null;
+    
+    // Text shown over the silhouette (e.g. the attract mode's "step closer")
+    this.prompt = null;
+    this.replaying = false;
+    
+    // Afterimage / echo / long exposure (see trailMode)
+    this.maskTrail = new MaskTrail();
+    this.frameTrail = new FrameTrail();
     
     // Settings (matching WORD SILHOUETTE defaults)
     this.settings = {
@@ -67,6 +141,13 @@ export class WebcamTextRenderer {
       threshold: 95,
       cellWidthMultiplier: 1.5,
       
+      // Threshold strategy (see silhouette-analysis.js)
+      thresholdMode: 'fixed',      // 'fixed', 'otsu', 'adaptive' or 'background'
+      adaptiveBlockSize: 31,
+      adaptiveOffset: 7,
+      backgroundDifference: 30,
+      backgroundAdaptRate: 0.002,
+      
       // Contour controls
       showContour: false,
       pixelSize: 1,
@@ -74,11 +155,52 @@ export class WebcamTextRenderer {
       contourDensity: 2,
       contourColor: "#FFFFFF",
       
+      // How the contour is drawn: 'pixels' (edge squares), 'lines' (traced outline)
+      // or 'text' (the words flowing along the traced outline)
+      contourStyle: 'pixels',
+      contourSmoothing: 2,         // Smoothing passes on the traced outline
+      contourSimplify: 1.5,        // Simplification tolerance in pixels
+      contourTextSpeed: 20,        // How fast words flow along the outline (pixels per second)
+      
       // Text settings
       fontSize: 17,
       textDensity: 0.8,
       
-      // Animation controls (not implemented yet)
+      // Where the words go (see silhouette-layouts.js):
+      // 'grid', 'sequential', 'weighted', 'hex', 'radial' or 'halftone'
+      layout: 'grid',
+      
+      // Which word a cell shows: 'random' (fixed shuffle, see initializeGrid) or
+      // 'bands' (brightness split into one band per word, darkest = first word)
+      wordMode: 'random',
+      
+      // Several visitors (see silhouette-people.js): 'off', 'words' (each person
+      // gets their own subset of the words) or 'colors' (their own word color).
+      // Words are dealt round-robin into personGroups subsets, one per person.
+      personMode: 'off',
+      personGroups: 2,
+      
+      // Negative space: a second word list fills the background around the silhouette
+      negativeSpace: false,
+      outsideDensity: 1,           // Text density of the background words
+      
+      // Word colors (see silhouette-colors.js)
+      colorMode: 'word',           // 'word', 'sample', 'gradient' or 'palette'
+      colorTint: 1,                // How far 'sample' moves from the word color to the video (0-1)
+      colorGradient: ['#2600FF', '#FF0505', '#FDFF00'],  // Dark to bright ('gradient')
+      colorPalette: [...PANEL_COLORS],                   // Snap targets ('palette')
+      
+      // What movement leaves behind (see silhouette-trails.js): 'off', 'afterimage'
+      // (earlier masks as a fading ghost in the contour color), 'echo' (the last
+      // trailFrames frames of words) or 'exposure' (trailExposure seconds stacked up)
+      trailMode: 'off',
+      trailDecay: 0.9,             // Afterimage left after each frame (0-1)
+      trailFrames: 8,
+      trailExposure: 4,            // Seconds
+      trailOpacity: 0.6,
+      trailBlend: 'auto',          // Composite operation: 'auto', 'lighter', 'screen', 'difference' or 'source-over'
+      
+      // Animation controls
       enableAnimation: false,
       animationType: 'wave',
       animationSpeed: 5,
@@ -87,7 +209,10 @@ export class WebcamTextRenderer {
       enableGlitch: false,
       glitchType: 'digitaldropout',
       glitchIntensity: 20,
-      glitchSpeed: 2
+      glitchSpeed: 2,
+      
+      // Text drawing backend: '2d' (canvas fillText) or 'webgl' (glyph atlas, much higher cell counts)
+      textBackend: '2d'
     };
     
     // Glitch state
@@ -103,6 +228,9 @@ export class WebcamTextRenderer {
     // Frame tracking
     this.frameCount = 0;
     
+    // WebM/PNG capture of the output canvas (created on first use)
+    this.recorder = null;
+    
     console.log('✅ WebcamTextRenderer created', width, 'x', height);
     console.log('📝 Words:', this.words.map(w => `${w.text}:${w.color}`));
   }
@@ -114,12 +242,14 @@ export class WebcamTextRenderer {
     try {
       console.log('🎥 Initializing webcam...');
       
-      // Enumerate cameras first
-      await this.enumerateCameras();
+      // Open (or join) the shared camera stream
+      const success = await this.camera.acquire(this);
+      this.cameras = this.camera.cameras;
+      this.currentCameraId = this.camera.currentCameraId;
       
-      // Start with first camera (or default)
-      const deviceId = this.cameras.length > 0 ? this.cameras[0].deviceId : null;
-      const success = await this.switchCamera(deviceId);
+      if (!success) {
+        this.drawErrorMessage('Camera access denied. Please allow camera access and refresh.');
+      }
       
       // Initialize grid
       this.updateGridDimensions();
@@ -147,195 +277,145 @@ export class WebcamTextRenderer {
    * Enumerate available cameras
    */
   async enumerateCameras() {
-    try {
-      const devices = await navigator.mediaDevices.enumerateDevices();
-      this.cameras = devices.filter(device => device.kind === 'videoinput');
-      console.log(`📹 Found ${this.cameras.length} cameras`);
-      return this.cameras;
-    } catch (error) {
-      console.error('Failed to enumerate cameras:', error);
-      return [];
-    }
+    this.cameras = await this.camera.enumerateCameras();
+    return this.cameras;
   }
   
   /**
-   * Switch to a different camera
+   * Switch to a different camera (every consumer of the shared stream follows)
    */
   async switchCamera(deviceId) {
-    try {
-      // Stop current stream and cleanup
-      if (this.currentStream) {
-        this.currentStream.getTracks().forEach(track => track.stop());
-      }
-      
-      // Clear any existing keep-alive interval
-      if (this.videoKeepAliveInterval) {
-        clearInterval(this.videoKeepAliveInterval);
-        this.videoKeepAliveInterval = null;
-      }
-      
-      // Get new stream with iOS-optimized constraints
-      const videoConstraints = deviceId 
-        ? { deviceId: { exact: deviceId } } 
-        : { facingMode: 'user' }; // Prefer front camera on mobile
-      
-      // For Safari, optimize constraints for better performance
-      if (this.isSafari) {
-        // Use lower resolution on mobile Safari for better performance
-        if (this.isIOSSafari) {
-          videoConstraints.width = { ideal: 480 };
-          videoConstraints.height = { ideal: 360 };
-        }
-        // Request specific frame rate for Safari (helps with frame sync)
-        videoConstraints.frameRate = { ideal: 30, max: 30 };
-      }
-      
-      const constraints = {
-        video: videoConstraints,
-        audio: false
-      };
-      
-      console.log('📷 Requesting camera with constraints:', JSON.stringify(constraints));
-      
-      this.currentStream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.video.srcObject = this.currentStream;
-      this.currentCameraId = deviceId;
-      
-      // Ensure Safari mobile attributes are set
-      this.video.muted = true;
-      this.video.playsInline = true;
-      
-      // Wait for video to be ready
-      await new Promise(resolve => {
-        this.video.onloadedmetadata = () => {
-          this.video.play().catch(() => {});
-          resolve();
-        };
-      });
-      
-      // Setup Safari keep-alive workaround (for both desktop and mobile Safari)
-      if (this.isSafari) {
-        this.setupSafariKeepAlive();
-      }
-      
-      console.log('✅ Camera switched:', deviceId || 'default');
-      
-      return true;
-    } catch (error) {
-      console.error('❌ Failed to switch camera:', error.name, error.message);
+    const success = await this.camera.switchCamera(deviceId);
+    
+    if (success) {
+      this.currentCameraId = this.camera.currentCameraId;
+      this.cameras = this.camera.cameras;
+    } else {
       this.isInitialized = false;
       this.drawErrorMessage('Camera access denied. Please allow camera access and refresh.');
-      return false;
     }
+    
+    return success;
   }
   
   /**
-   * Setup Safari mobile video keep-alive mechanism
+   * Use a non-camera input source (see input-sources.js)
+   * Pass null to go back to the webcam. The caller owns the source, so one
+   * source can feed several renderers and is never stopped here.
    */
-  setupSafariKeepAlive() {
-    console.log('🍎 Setting up iOS Safari video keep-alive...');
+  async setSource(source) {
+    this.source = source;
     
-    let stalledFrameCount = 0;
+    if (!source) {
+      return this.isInitialized;
+    }
     
-    // More aggressive keep-alive interval (100ms instead of 500ms)
-    this.videoKeepAliveInterval = setInterval(() => {
-      if (!this.video) return;
-      
-      // Always try to play if paused
-      if (this.video.paused) {
-        console.log('🔄 Video paused, resuming...');
-        this.video.play().catch(() => {});
-      }
-      
-      // Check for stalled video (same currentTime for multiple checks)
-      if (this.video.currentTime === this.lastVideoTime && this.currentStream) {
-        stalledFrameCount++;
-        
-        // If stalled for 3+ checks (300ms), try to recover
-        if (stalledFrameCount >= 3) {
-          console.log('⚠️ Video stalled, attempting recovery...');
-          const tracks = this.currentStream.getVideoTracks();
-          if (tracks.length > 0 && tracks[0].enabled) {
-            // Toggle track to force refresh on Safari
-            tracks[0].enabled = false;
-            setTimeout(() => {
-              if (tracks[0]) tracks[0].enabled = true;
-            }, 50);
-          }
-          
-          // Also try reloading the video source
-          if (stalledFrameCount >= 10) {
-            console.log('🔁 Deep recovery - resetting video source...');
-            const stream = this.video.srcObject;
-            this.video.srcObject = null;
-            setTimeout(() => {
-              this.video.srcObject = stream;
-              this.video.play().catch(() => {});
-            }, 100);
-            stalledFrameCount = 0;
-          }
-        }
-      } else {
-        stalledFrameCount = 0;
-      }
-      
-      this.lastVideoTime = this.video.currentTime;
-    }, 100); // Check every 100ms for faster recovery
+    const success = await source.start();
     
-    // Handle visibility changes
-    document.addEventListener('visibilitychange', () => {
-      if (document.visibilityState === 'visible' && this.video) {
-        console.log('👁️ Page visible, resuming video...');
-        setTimeout(() => {
-          if (this.video.paused) {
-            this.video.play().catch(() => {});
-          }
-        }, 100);
-      }
-    });
+    if (this.textGrid.length === 0) {
+      this.updateGridDimensions();
+      this.initializeGrid();
+    }
     
-    // Handle touch events to keep video alive (iOS Safari quirk)
-    document.addEventListener('touchstart', () => {
-      if (this.video && this.video.paused) {
-        this.video.play().catch(() => {});
-      }
-    }, { passive: true });
+    console.log(success ? '✅ Input source ready' : '⚠️ Input source failed to start');
+    return success;
+  }
+  
+  /**
+   * Current look as a named preset (see silhouette-presets.js)
+   */
+  getPreset(name) {
+    return createPreset(name, this.settings, this.words, this.outsideWords);
+  }
+  
+  /**
+   * Apply a preset: settings it carries, and its word lists if it has any
+   */
+  applyPreset(preset) {
+    Object.assign(this.settings, preset.settings);
     
-    // Handle video stall events
-    this.video.addEventListener('stalled', () => {
-      console.log('📹 Video stalled event');
-      this.video.play().catch(() => {});
-    });
+    if (preset.words && preset.words.length > 0) {
+      this.words = preset.words.map(word => ({ ...word }));
+    }
+    if (preset.outsideWords && preset.outsideWords.length > 0) {
+      this.outsideWords = preset.outsideWords.map(word => ({ ...word }));
+    }
     
-    this.video.addEventListener('suspend', () => {
-      console.log('📹 Video suspend event');
-      setTimeout(() => {
-        if (this.video && this.video.paused) {
-          this.video.play().catch(() => {});
-        }
-      }, 100);
-    });
+    this.updateGridDimensions();
+    this.initializeGrid();
+    console.log(`🎛️ Preset applied: ${preset.name}`);
+  }
+  
+  /**
+   * Replace the word list and reshuffle the grid
+   */
+  setWords(words) {
+    this.words = words.map(word => ({ ...word }));
+    this.initializeGrid();
+  }
+  
+  resetWords() {
+    this.setWords(WebcamTextRenderer.DEFAULT_WORDS);
+  }
+  
+  /**
+   * Replace the background word list (negative space) and reshuffle the grid
+   */
+  setOutsideWords(words) {
+    this.outsideWords = words.map(word => ({ ...word }));
+    this.initializeGrid();
+  }
+  
+  resetOutsideWords() {
+    this.setOutsideWords(WebcamTextRenderer.DEFAULT_OUTSIDE_WORDS);
+  }
+  
+  /**
+   * Leave the camera (e.g. the visitor turned it off); init() starts it again
+   */
+  stopCamera() {
+    if (this.camera) {
+      this.camera.release(this);
+    }
+    this.isInitialized = false;
+  }
+  
+  /**
+   * Resize the output canvas (e.g. to fill a window); the grid is rebuilt
+   */
+  setSize(width, height) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (width === this.canvas.width && height === this.canvas.height) return;
     
-    this.video.addEventListener('waiting', () => {
-      console.log('📹 Video waiting for data...');
-    });
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.displayWidth = width;
+    this.displayHeight = height;
     
-    // Log when video actually plays
-    this.video.addEventListener('playing', () => {
-      console.log('✅ Video playing');
-    });
+    // Sized for the old canvas - recreated on the next frame
+    this.disposeGlyphBackends();
+    this.lastGoodImageData = null;
+    
+    if (this.worker) {
+      this.worker.postMessage({ type: 'resize', width, height });
+    }
+    
+    this.updateGridDimensions();
+    this.initializeGrid();
   }
   
   /**
    * Calculate grid dimensions based on settings
    */
   updateGridDimensions() {
-    const avgCharWidth = this.settings.fontSize * 0.6;
-    const avgWordLength = 8;
-    const cellWidthNeeded = avgWordLength * avgCharWidth * this.settings.cellWidthMultiplier;
+    const inside = this.getGridSize(this.settings.textDensity);
+    this.textColumns = inside.columns;
+    this.textRows = inside.rows;
     
-    this.textColumns = Math.max(1, Math.floor(this.displayWidth / (cellWidthNeeded / this.settings.textDensity)));
-    this.textRows = Math.max(1, Math.floor(this.displayHeight / ((this.settings.fontSize * 1.2) / this.settings.textDensity)));
+    const outside = this.getGridSize(this.settings.outsideDensity);
+    this.outsideColumns = outside.columns;
+    this.outsideRows = outside.rows;
     
     const cellWidth = this.displayWidth / this.textColumns;
     const cellHeight = this.displayHeight / this.textRows;
@@ -344,17 +424,143 @@ export class WebcamTextRenderer {
   }
   
   /**
-   * Initialize the text grid with random words
+   * Grid size for a text density (both layers share font size and cell width factor)
+   */
+  getGridSize(density) {
+    const avgCharWidth = this.settings.fontSize * 0.6;
+    const avgWordLength = 8;
+    // Same lower bound as the WORD SILHOUETTE slider (0 would mean infinite columns)
+    const cellWidthNeeded = avgWordLength * avgCharWidth * Math.max(0.1, this.settings.cellWidthMultiplier);
+    
+    return {
+      columns: Math.max(1, Math.floor(this.displayWidth / (cellWidthNeeded / density))),
+      rows: Math.max(1, Math.floor(this.displayHeight / ((this.settings.fontSize * 1.2) / density)))
+    };
+  }
+  
+  /**
+   * Initialize the text grid with random words (weighted by word.weight in the weighted layout)
    */
   initializeGrid() {
-    this.textGrid = [];
-    for (let y = 0; y < this.textRows; y++) {
-      const row = [];
-      for (let x = 0; x < this.textColumns; x++) {
-        row.push(Math.floor(Math.random() * this.words.length));
+    this.gridVersion++;
+    this.textGrid = buildWordGrid(this.settings.layout, this.textRows, this.textColumns, this.words);
+    this.outsideTextGrid = buildWordGrid(this.settings.layout, this.outsideRows, this.outsideColumns, this.outsideWords);
+  }
+  
+  /**
+   * Text layers to draw: the silhouette's words, and in negative space mode
+   * the background words where the mask is empty (a layer without words is skipped)
+   * @returns {Array<{name, words, textGrid, columns, rows, outside}>}
+   */
+  getTextLayers() {
+    const layers = [{
+      name: 'inside',
+      words: this.words,
+      textGrid: this.textGrid,
+      columns: this.textColumns,
+      rows: this.textRows,
+      outside: false
+    }];
+    
+    if (this.settings.negativeSpace) {
+      layers.push({
+        name: 'outside',
+        words: this.outsideWords,
+        textGrid: this.outsideTextGrid,
+        columns: this.outsideColumns,
+        rows: this.outsideRows,
+        outside: true
+      });
+    }
+    
+    return layers.filter(layer => layer.words.length > 0);
+  }
+  
+  /**
+   * Cells of the selected layout for a text layer, rebuilt when the grid or
+   * layout changes (also on the worker side, which only receives the grid)
+   */
+  getLayoutCells(layer) {
+    const layout = this.settings.layout;
+    const key = `${this.gridVersion}|${layout}|${layer.columns}x${layer.rows}|${this.displayX},${this.displayY},${this.displayWidth},${this.displayHeight}`;
+    const cached = this.layoutCache[layer.name];
+    if (cached && cached.key === key) return cached.cells;
+    
+    const cells = buildLayoutCells(layout, {
+      x: this.displayX,
+      y: this.displayY,
+      width: this.displayWidth,
+      height: this.displayHeight,
+      columns: layer.columns,
+      rows: layer.rows
+    }, layer.textGrid);
+    
+    this.layoutCache[layer.name] = { key, cells };
+    return cells;
+  }
+  
+  /**
+   * Layout cells placed for this frame
+   * Static layouts return the same array every frame (the WebGL backend only
+   * re-uploads its instances when it changes). Radial rings are centered on
+   * the silhouette; halftone words are scaled by how dense the silhouette is
+   * in their cell and keep that sample for their color.
+   * @returns {Array<{x, y, width, height, rotation, scale, wordIndex, sample}>}
+   */
+  placeLayoutCells(analysis, layer) {
+    const cells = this.getLayoutCells(layer);
+    
+    switch (this.settings.layout) {
+      case 'radial': {
+        const center = this.updateLayoutCenter(analysis);
+        const right = this.displayX + this.displayWidth;
+        const bottom = this.displayY + this.displayHeight;
+        const placed = [];
+        
+        for (const cell of cells) {
+          const x = cell.x + center.x;
+          const y = cell.y + center.y;
+          const centerX = x + cell.width / 2;
+          const centerY = y + cell.height / 2;
+          if (centerX < this.displayX || centerX >= right || centerY < this.displayY || centerY >= bottom) continue;
+          placed.push({ ...cell, x, y });
+        }
+        return placed;
       }
-      this.textGrid.push(row);
+      
+      case 'halftone':
+        return cells.map(cell => {
+          const sample = this.sampleCell(analysis, cell);
+          const level = sample ? this.getBrightnessLevel(sample.brightness, analysis, layer.outside) : 0;
+          // Denser = darker, or brighter when the silhouette is the bright part
+          const density = this.settings.invertColors ? level : 1 - level;
+          const scale = HALFTONE_SCALE[0] + (HALFTONE_SCALE[1] - HALFTONE_SCALE[0]) * density;
+          return { ...cell, scale, sample };
+        });
+      
+      default:
+        return cells;
+    }
+  }
+  
+  /**
+   * Center of the radial layout: eases toward the silhouette's center of mass
+   * (the display center while nobody is there)
+   */
+  updateLayoutCenter(analysis) {
+    const target = analysis.centroid() || {
+      x: this.displayX + this.displayWidth / 2,
+      y: this.displayY + this.displayHeight / 2
+    };
+    
+    if (!this.layoutCenter) {
+      this.layoutCenter = { ...target };
+    } else {
+      this.layoutCenter.x += (target.x - this.layoutCenter.x) * 0.2;
+      this.layoutCenter.y += (target.y - this.layoutCenter.y) * 0.2;
     }
+    
+    return this.layoutCenter;
   }
   
   /**
@@ -375,6 +581,20 @@ export class WebcamTextRenderer {
    * Main render method - called every frame
    */
   render() {
+    this.presence.watch(this.getInputFrameTime());
+    
+    // Worker does the heavy lifting, results arrive in handleWorkerMessage
+    if (this.worker) {
+      this.renderWithWorker();
+      return;
+    }
+    
+    // Alternate input source replaces the webcam entirely
+    if (this.source) {
+      this.renderFromSource();
+      return;
+    }
+    
     // Safari (both desktop and mobile): always try to keep video playing
     if (this.isSafari && this.video) {
       if (this.video.paused || this.video.ended) {
@@ -426,25 +646,7 @@ export class WebcamTextRenderer {
         return;
       }
       
-      // Clear for text rendering
-      this.ctx.fillStyle = this.settings.invertColors ? '#FFFFFF' : '#000000';
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-      
-      // Detect contour if enabled
-      if (this.settings.showContour) {
-        this.detectSilhouetteContour(imageData);
-        this.drawContour();
-      }
-      
-      // Draw text grid
-      this.drawTextGrid(imageData);
-      
-      // Apply glitch effects if enabled
-      if (this.settings.enableGlitch) {
-        this.applyGlitchEffect();
-      }
-      
-      this.frameCount++;
+      this.renderImageData(imageData);
     } catch (error) {
       console.error('Render error:', error);
       this.drawPlaceholder();
@@ -452,51 +654,379 @@ export class WebcamTextRenderer {
   }
   
   /**
-   * Draw placeholder animation with test colors
+   * Frame time of the current input (camera watchdog), null when there is none yet
    */
-  drawPlaceholder() {
-    if (this.frameCount % 30 === 0) {
-      console.log('🖼️ Drawing placeholder frame', this.frameCount);
+  getInputFrameTime() {
+    if (this.source) {
+      return this.source.isReady() ? this.source.getFrameTime() : null;
+    }
+    return this.video && this.video.videoWidth > 0 ? this.video.currentTime : null;
+  }
+  
+  /**
+   * Render a frame from the alternate input source
+   */
+  renderFromSource() {
+    if (!this.source.isReady()) {
+      this.drawPlaceholder();
+      return;
     }
     
-    const time = Date.now() * 0.001;
-    const w = this.canvas.width;
-    const h = this.canvas.height;
-    
-    // Black background
-    this.ctx.fillStyle = '#000000';
-    this.ctx.fillRect(0, 0, w, h);
+    try {
+      this.renderDrawable(this.source.getDrawable());
+    } catch (error) {
+      console.error('Render error:', error);
+      this.drawPlaceholder();
+    }
+  }
+  
+  /**
+   * Capture any drawable (video, canvas, ImageBitmap, VideoFrame) and render it
+   */
+  renderDrawable(drawable) {
+    this.ctx.fillStyle = this.settings.invertColors ? '#FFFFFF' : '#000000';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.drawImage(drawable, 0, 0, this.canvas.width, this.canvas.height);
     
-    // Simple test: Draw 4 colored squares to verify rendering works
-    this.ctx.save();
+    const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    this.renderImageData(imageData);
+  }
+  
+  /**
+   * Whether this browser can run the renderer in a worker
+   */
+  static supportsWorker() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+  
+  /**
+   * Move analysis, contour, glitch and text drawing into a Web Worker
+   * Frames are transferred as VideoFrames (or ImageBitmaps) and come back as
+   * ImageBitmaps, so the main thread only copies pixels. Returns false when
+   * workers or OffscreenCanvas are unavailable - render() then keeps using
+   * the main-thread path, as it also does if the worker fails later.
+   */
+  enableWorker() {
+    if (this.worker) return true;
     
-    // Yellow square
-    this.ctx.fillStyle = '#FFFF00';
-    this.ctx.fillRect(50, 50, 100, 100);
+    if (!WebcamTextRenderer.supportsWorker()) {
+      console.warn('⚠️ OffscreenCanvas workers not supported, rendering on main thread');
+      return false;
+    }
     
-    // Red square
-    this.ctx.fillStyle = '#FF0000';
-    this.ctx.fillRect(w - 150, 50, 100, 100);
+    try {
+      this.worker = new Worker(new URL('./silhouette-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('⚠️ Could not start silhouette worker, rendering on main thread:', error.message);
+      this.worker = null;
+      return false;
+    }
     
-    // Green square
-    this.ctx.fillStyle = '#00FF00';
-    this.ctx.fillRect(50, h - 150, 100, 100);
+    this.workerBusy = false;
+    this.workerLastFrameTime = -1;
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('❌ Silhouette worker error, falling back to main thread:', event.message);
+      this.disableWorker();
+    };
+    this.worker.postMessage({ type: 'init', width: this.canvas.width, height: this.canvas.height });
     
-    // Blue square
-    this.ctx.fillStyle = '#0000FF';
-    this.ctx.fillRect(w - 150, h - 150, 100, 100);
+    console.log('🧵 Silhouette worker started');
+    return true;
+  }
+  
+  /**
+   * Stop the worker and go back to rendering on the main thread
+   */
+  disableWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerBusy = false;
     
-    // Draw text with colors
-    this.ctx.textAlign = 'center';
-    this.ctx.textBaseline = 'middle';
+    // Pending exports fall back to the main-thread analysis
+    for (const id of [...this.exportRequests.keys()]) {
+      this.resolveExportRequest(id, this.buildExportFrame());
+    }
+  }
+  
+  /**
+   * Send the current frame to the worker (at most one frame in flight)
+   */
+  renderWithWorker() {
+    // Canvas keeps the last finished frame while the worker is busy
+    if (this.workerBusy) return;
     
-    this.ctx.fillStyle = '#FFFF00';
-    this.ctx.font = '24px monospace';
-    this.ctx.fillText('YOU ARE', 100, 100);
+    const drawable = this.getFrameDrawable();
+    if (!drawable) {
+      this.drawPlaceholder();
+      return;
+    }
     
-    this.ctx.fillStyle = '#FF0000';
-    this.ctx.font = '24px serif';
-    this.ctx.fillText('YOUR CHOICES', w - 100, 100);
+    // Skip frames the camera/source hasn't updated yet
+    const frameTime = this.source ? this.source.getFrameTime() : this.video.currentTime;
+    if (frameTime === this.workerLastFrameTime) return;
+    this.workerLastFrameTime = frameTime;
+    
+    this.workerBusy = true;
+    this.grabFrame(drawable).then(frame => {
+      if (!this.worker) {
+        frame.close();
+        return;
+      }
+      this.worker.postMessage({ type: 'frame', frame, state: this.getRenderState() }, [frame]);
+    }).catch(error => {
+      console.error('Frame capture error:', error);
+      this.workerBusy = false;
+    });
+  }
+  
+  /**
+   * Current input as something drawImage() accepts, or null if not ready
+   */
+  getFrameDrawable() {
+    if (this.source) {
+      return this.source.isReady() ? this.source.getDrawable() : null;
+    }
+    
+    if (this.video && this.video.videoWidth > 0 && this.video.readyState >= 2) {
+      return this.video;
+    }
+    return null;
+  }
+  
+  /**
+   * Transferable copy of a frame: VideoFrame avoids a copy where supported
+   */
+  grabFrame(drawable) {
+    if (typeof VideoFrame !== 'undefined' && drawable instanceof HTMLVideoElement) {
+      return Promise.resolve(new VideoFrame(drawable));
+    }
+    return createImageBitmap(drawable);
+  }
+  
+  /**
+   * Everything needed to draw the same picture elsewhere (worker, WebGL backend)
+   */
+  getRenderState() {
+    return {
+      settings: this.settings,
+      words: this.words,
+      textGrid: this.textGrid,
+      outsideWords: this.outsideWords,
+      outsideTextGrid: this.outsideTextGrid,
+      outsideColumns: this.outsideColumns,
+      outsideRows: this.outsideRows,
+      gridVersion: this.gridVersion,
+      cellPadding: WebcamTextRenderer.CELL_PADDING,
+      textColumns: this.textColumns,
+      textRows: this.textRows,
+      displayX: this.displayX,
+      displayY: this.displayY,
+      displayWidth: this.displayWidth,
+      displayHeight: this.displayHeight,
+      replaying: this.replaying
+    };
+  }
+  
+  /**
+   * Apply state sent from the main thread (worker side)
+   */
+  applyRenderState(state) {
+    Object.assign(this.settings, state.settings);
+    this.words = state.words;
+    this.textGrid = state.textGrid;
+    this.outsideWords = state.outsideWords;
+    this.outsideTextGrid = state.outsideTextGrid;
+    this.outsideColumns = state.outsideColumns;
+    this.outsideRows = state.outsideRows;
+    this.gridVersion = state.gridVersion;
+    this.textColumns = state.textColumns;
+    this.textRows = state.textRows;
+    this.displayX = state.displayX;
+    this.displayY = state.displayY;
+    this.displayWidth = state.displayWidth;
+    this.displayHeight = state.displayHeight;
+    this.replaying = state.replaying;
+  }
+  
+  /**
+   * Messages from the silhouette worker
+   */
+  handleWorkerMessage(data) {
+    switch (data.type) {
+      case 'ready':
+        console.log('✅ Silhouette worker ready');
+        break;
+      
+      case 'frame':
+        if (data.bitmap) {
+          this.ctx.drawImage(data.bitmap, 0, 0, this.canvas.width, this.canvas.height);
+          data.bitmap.close();
+          this.drawPrompt();
+          this.frameCount++;
+        }
+        if (data.stats) {
+          this.presence.update(data.stats);
+        }
+        this.workerBusy = false;
+        break;
+      
+      case 'exportFrame':
+        this.resolveExportRequest(data.id, data.frame);
+        break;
+      
+      case 'error':
+        console.error('❌ Silhouette worker failed, falling back to main thread:', data.message);
+        this.disableWorker();
+        break;
+    }
+  }
+  
+  /**
+   * Draw the text silhouette for one captured frame
+   */
+  renderImageData(imageData) {
+    // Clear for text rendering
+    this.ctx.fillStyle = this.settings.invertColors ? '#FFFFFF' : '#000000';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    
+    const analysis = this.analyzeFrame(imageData);
+    
+    // Presence events (in the worker the stats go back with the frame instead)
+    this.frameStats = { coverage: analysis.coverage, motion: analysis.motion, people: analysis.people.length };
+    if (!this.headless) {
+      this.presence.update(this.frameStats);
+    }
+    
+    // Afterimage goes under this frame's contour and words
+    if (this.settings.trailMode === 'afterimage') {
+      this.drawAfterimage(analysis);
+    } else {
+      this.maskTrail.reset();
+    }
+    
+    // Detect contour if enabled
+    if (this.settings.showContour) {
+      this.detectSilhouetteContour(analysis);
+      this.drawContour();
+    }
+    
+    // Draw text grid
+    this.drawText(analysis);
+    
+    // Echoes and long exposure go over it
+    if (this.settings.trailMode === 'echo' || this.settings.trailMode === 'exposure') {
+      this.drawFrameTrail();
+    } else {
+      this.frameTrail.reset();
+    }
+    
+    // Apply glitch effects if enabled
+    if (this.settings.enableGlitch) {
+      this.applyGlitchEffect();
+    }
+    
+    this.drawPrompt();
+    this.frameCount++;
+  }
+  
+  /**
+   * Run the shared silhouette analysis on a frame with the current settings
+   * The result is in display orientation (flip already applied)
+   */
+  analyzeFrame(imageData) {
+    return this.analyzer.analyze(imageData, this.getAnalysisOptions());
+  }
+  
+  /**
+   * SilhouetteAnalyzer options for the current settings
+   */
+  getAnalysisOptions() {
+    return {
+      threshold: this.settings.threshold,
+      polarity: this.settings.invertColors ? 'bright' : 'dark',
+      flipHorizontal: this.settings.flipVideo,
+      thresholdMode: this.replaying && this.settings.thresholdMode === 'background' ? 'fixed' : this.settings.thresholdMode,
+      adaptiveBlockSize: this.settings.adaptiveBlockSize,
+      adaptiveOffset: this.settings.adaptiveOffset,
+      backgroundDifference: this.settings.backgroundDifference,
+      backgroundAdaptRate: this.settings.backgroundAdaptRate,
+      people: this.settings.personMode !== 'off',
+      motion: true,
+      edges: this.settings.showContour && this.settings.contourStyle === 'pixels',
+      contours: this.settings.showContour,
+      contourTolerance: this.settings.contourSimplify,
+      contourSmoothing: this.settings.contourSmoothing,
+      contourStep: Math.max(1, Math.floor(this.settings.pixelSize / this.settings.contourDensity)),
+      contourSensitivity: this.settings.contourSensitivity
+    };
+  }
+  
+  /**
+   * "Capture empty room": learn the background from the next frame
+   * Used by thresholdMode 'background' - step out of view first
+   */
+  captureEmptyRoom() {
+    this.analyzer.captureBackground();
+    
+    // The worker keeps its own analyzer
+    if (this.worker) {
+      this.worker.postMessage({ type: 'captureBackground' });
+    }
+    
+    console.log('🏠 Capturing empty room on next frame');
+  }
+  
+  /**
+   * Draw placeholder animation with test colors
+   */
+  drawPlaceholder() {
+    if (this.frameCount % 30 === 0) {
+      console.log('🖼️ Drawing placeholder frame', this.frameCount);
+    }
+    
+    const time = Date.now() * 0.001;
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    
+    // Black background
+    this.ctx.fillStyle = '#000000';
+    this.ctx.fillRect(0, 0, w, h);
+    
+    // Simple test: Draw 4 colored squares to verify rendering works
+    this.ctx.save();
+    
+    // Yellow square
+    this.ctx.fillStyle = '#FFFF00';
+    this.ctx.fillRect(50, 50, 100, 100);
+    
+    // Red square
+    this.ctx.fillStyle = '#FF0000';
+    this.ctx.fillRect(w - 150, 50, 100, 100);
+    
+    // Green square
+    this.ctx.fillStyle = '#00FF00';
+    this.ctx.fillRect(50, h - 150, 100, 100);
+    
+    // Blue square
+    this.ctx.fillStyle = '#0000FF';
+    this.ctx.fillRect(w - 150, h - 150, 100, 100);
+    
+    // Draw text with colors
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    
+    this.ctx.fillStyle = '#FFFF00';
+    this.ctx.font = '24px monospace';
+    this.ctx.fillText('YOU ARE', 100, 100);
+    
+    this.ctx.fillStyle = '#FF0000';
+    this.ctx.font = '24px serif';
+    this.ctx.fillText('YOUR CHOICES', w - 100, 100);
     
     this.ctx.fillStyle = '#00FF00';
     this.ctx.font = '20px monospace';
@@ -516,180 +1046,536 @@ export class WebcamTextRenderer {
     this.frameCount++;
   }
   
+  /**
+   * Draw the text grid with the selected backend ('2d' or 'webgl')
+   * Falls back to 2D if WebGL2 is not available
+   */
+  drawText(analysis) {
+    if (this.settings.textBackend === 'webgl' && this.getGlyphBackend('inside')) {
+      // One backend per layer: each has its own atlas, cells and mask side
+      for (const layer of this.getTextLayers()) {
+        const backend = this.getGlyphBackend(layer.name);
+        if (!backend) continue;
+        
+        const cells = this.placeLayoutCells(analysis, layer);
+        const cellColors = this.usesCellData() ? this.computeCellColors(analysis, layer, cells) : null;
+        const state = {
+          ...this.getRenderState(),
+          words: layer.words,
+          textColumns: layer.columns,
+          textRows: layer.rows,
+          outside: layer.outside
+        };
+        this.ctx.drawImage(backend.render(analysis, state, cells, cellColors), 0, 0);
+      }
+    } else {
+      this.drawTextGrid(analysis);
+    }
+  }
+  
+  /**
+   * Lazily create the WebGL glyph-atlas backend for a text layer
+   */
+  getGlyphBackend(name) {
+    if (this.glyphBackends[name] || this.glyphBackendFailed) {
+      return this.glyphBackends[name] || null;
+    }
+    
+    try {
+      this.glyphBackends[name] = new GlyphAtlasRenderer(this.canvas.width, this.canvas.height);
+    } catch (error) {
+      console.warn('⚠️ WebGL text backend unavailable, using 2D:', error.message);
+      this.glyphBackendFailed = true;
+    }
+    
+    return this.glyphBackends[name] || null;
+  }
+  
+  disposeGlyphBackends() {
+    Object.values(this.glyphBackends).forEach(backend => backend.dispose());
+    this.glyphBackends = {};
+  }
+  
   /**
    * Draw text grid based on brightness - WITH CORRECT COLORS
    */
-  drawTextGrid(imageData) {
-    const pixels = imageData.data;
-    const gridColWidth = this.displayWidth / this.textColumns;
-    const gridRowHeight = this.displayHeight / this.textRows;
-    const cellPadding = 2;
+  drawTextGrid(analysis) {
+    const cellPadding = WebcamTextRenderer.CELL_PADDING;
+    const time = performance.now() * 0.001;
     
-    // Iterate through grid
-    for (let y = 0; y < this.textRows; y++) {
-      const currentY = this.displayY + (y * gridRowHeight);
+    for (const cell of this.getVisibleCells(analysis)) {
+      const word = cell.word;
       
-      if (currentY > this.displayY + this.displayHeight) break;
+      // Save canvas state
+      this.ctx.save();
       
-      for (let x = 0; x < this.textColumns; x++) {
-        const currentX = this.displayX + (x * gridColWidth);
-        
-        if (currentX > this.displayX + this.displayWidth) break;
+      // CRITICAL: Set color for THIS word (or its sampled color, see colorMode)
+      this.ctx.fillStyle = cell.color;
+      this.ctx.font = `${word.size}px ${word.font}`;
+      this.ctx.textAlign = 'left';
+      this.ctx.textBaseline = 'top';
+      
+      const cellText = this.fitText(word.text, cell.width - cellPadding * 2);
+      
+      if (cellText.length > 0) {
+        const anim = this.settings.enableAnimation ? this.applyAnimation(cell.x, cell.y, time) : null;
         
-        try {
-          // Get word for this cell
-          const wordIndex = this.textGrid[y][x];
-          if (wordIndex >= this.words.length) continue;
-          
-          const word = this.words[wordIndex];
+        if (anim || cell.rotation !== 0 || cell.scale !== 1) {
+          const x = anim ? anim.x : cell.x;
+          const y = anim ? anim.y : cell.y;
+          const scale = cell.scale * (anim ? anim.scale : 1);
           
-          // Sample pixel at center of cell
-          let vidX = Math.floor(currentX + gridColWidth / 2);
-          let vidY = Math.floor(currentY + gridRowHeight / 2);
-          
-          // Apply flip if needed
-          if (this.settings.flipVideo) {
-            vidX = this.canvas.width - vidX;
+          // Transform around the cell center (same as WORD SILHOUETTE)
+          this.ctx.translate(x + cell.width / 2, y + cell.height / 2);
+          this.ctx.rotate(cell.rotation + (anim ? anim.rotation : 0));
+          this.ctx.scale(scale, scale);
+          if (anim) {
+            this.ctx.globalAlpha = anim.opacity / 255;
           }
           
-          // Constrain to bounds
-          vidX = Math.max(0, Math.min(this.canvas.width - 1, vidX));
-          vidY = Math.max(0, Math.min(this.canvas.height - 1, vidY));
-          
-          // Get pixel brightness
-          const pixelIndex = (vidY * this.canvas.width + vidX) * 4;
-          const r = pixels[pixelIndex];
-          const g = pixels[pixelIndex + 1];
-          const b = pixels[pixelIndex + 2];
-          const brightness = (r + g + b) / 3;
-          
-          // Check threshold
-          const shouldDrawText = this.settings.invertColors ? 
-            (brightness > this.settings.threshold) : 
-            (brightness < this.settings.threshold);
-          
-          if (shouldDrawText) {
-            // Save canvas state
-            this.ctx.save();
-            
-            // CRITICAL: Set color for THIS word
-            this.ctx.fillStyle = word.color;
-            this.ctx.font = `${word.size}px ${word.font}`;
-            this.ctx.textAlign = 'left';
-            this.ctx.textBaseline = 'top';
-            
-            // Measure text width
-            const textWidth = this.ctx.measureText(word.text).width;
-            const maxTextWidth = gridColWidth - cellPadding * 2;
-            
-            // Draw text if it fits
-            if (textWidth <= maxTextWidth) {
-              this.ctx.fillText(word.text, currentX + cellPadding, currentY + cellPadding);
-            } else {
-              // Truncate if too long
-              let truncatedText = word.text;
-              while (this.ctx.measureText(truncatedText).width > maxTextWidth && truncatedText.length > 1) {
-                truncatedText = truncatedText.substring(0, truncatedText.length - 1);
-              }
-              if (truncatedText.length > 0) {
-                this.ctx.fillText(truncatedText, currentX + cellPadding, currentY + cellPadding);
-              }
-            }
-            
-            // Restore canvas state
-            this.ctx.restore();
-          }
-        } catch (error) {
-          // Skip cell on error
-          continue;
+          this.ctx.fillText(cellText, -cell.width / 2 + cellPadding, -cell.height / 2 + cellPadding);
+        } else {
+          this.ctx.fillText(cellText, cell.x + cellPadding, cell.y + cellPadding);
         }
       }
+      
+      // Restore canvas state
+      this.ctx.restore();
     }
   }
   
   /**
-   * Detect silhouette contour edges
+   * Layout cells whose center falls inside the silhouette (and, in negative
+   * space mode, background cells whose center falls outside it)
+   * Shared by drawTextGrid and the SVG / print export
+   * @returns {Array<{x, y, width, height, rotation, scale, wordIndex, word, color, outside}>}
+   * wordIndex is into the cell's own layer's list (words or outsideWords)
    */
-  detectSilhouetteContour(imageData) {
-    this.edgePixels = [];
-    const pixels = imageData.data;
-    const width = this.canvas.width;
-    const height = this.canvas.height;
-    
-    const sampleStep = Math.max(1, Math.floor(this.settings.pixelSize / this.settings.contourDensity));
+  getVisibleCells(analysis) {
+    const sequential = this.settings.layout === 'sequential';
+    const cells = [];
     
-    // Simplified edge detection
-    for (let y = sampleStep; y < height - sampleStep; y += sampleStep) {
-      for (let x = sampleStep; x < width - sampleStep; x += sampleStep) {
-        const idx = (y * width + x) * 4;
-        
-        // Get brightness of current pixel
-        const r1 = pixels[idx];
-        const g1 = pixels[idx + 1];
-        const b1 = pixels[idx + 2];
-        const brightness1 = (r1 + g1 + b1) / 3;
-        
-        // Get brightness of pixel to the right
-        const idx2 = (y * width + (x + sampleStep)) * 4;
-        const r2 = pixels[idx2];
-        const g2 = pixels[idx2 + 1];
-        const b2 = pixels[idx2 + 2];
-        const brightness2 = (r2 + g2 + b2) / 3;
+    for (const layer of this.getTextLayers()) {
+      const words = layer.words;
+      let sequence = 0;
+      
+      for (const cell of this.placeLayoutCells(analysis, layer)) {
+        // Sample the silhouette mask at center of cell
+        if (analysis.isInside(cell.x + cell.width / 2, cell.y + cell.height / 2) === layer.outside) continue;
         
-        // Get brightness of pixel below
-        const idx3 = ((y + sampleStep) * width + x) * 4;
-        const r3 = pixels[idx3];
-        const g3 = pixels[idx3 + 1];
-        const b3 = pixels[idx3 + 2];
-        const brightness3 = (r3 + g3 + b3) / 3;
+        // Sequential: the next word of the list, so the words read on across rows
+        const layoutWord = sequential ? sequence++ % words.length : cell.wordIndex;
         
-        // Calculate difference
-        const diffH = Math.abs(brightness1 - brightness2);
-        const diffV = Math.abs(brightness1 - brightness3);
+        // Get word (and sampled color) for this cell
+        const { wordIndex, color } = this.resolveCell(analysis, layer, cell, layoutWord);
+        if (wordIndex >= words.length) continue;
+        const word = words[wordIndex];
         
-        // If difference is greater than threshold, it's an edge
-        if (diffH > this.settings.contourSensitivity || diffV > this.settings.contourSensitivity) {
-          // Check if this would be visible based on threshold
-          const visible = this.settings.invertColors ? 
-            (brightness1 > this.settings.threshold) : 
-            (brightness1 < this.settings.threshold);
-            
-          if (visible) {
-            this.edgePixels.push({ x, y });
-          }
-        }
+        cells.push({
+          x: cell.x,
+          y: cell.y,
+          width: cell.width,
+          height: cell.height,
+          rotation: cell.rotation,
+          scale: cell.scale,
+          wordIndex,
+          word,
+          color: color ? toHexColor(color) : word.color,
+          outside: layer.outside
+        });
       }
     }
+    
+    return cells;
+  }
+  
+  /**
+   * Whether cells sample the video (color modes, brightness bands)
+   */
+  usesCellSamples() {
+    return this.settings.colorMode !== 'word' || this.settings.wordMode === 'bands';
+  }
+  
+  /**
+   * Whether the WebGL backend needs per-cell data (samples, sequential or per-person words)
+   */
+  usesCellData() {
+    return this.usesCellSamples() || this.settings.layout === 'sequential' || this.settings.personMode !== 'off';
+  }
+  
+  /**
+   * Average video color in a cell (about 16 reads, whatever its size)
+   */
+  sampleCell(analysis, cell) {
+    const step = Math.max(1, Math.floor(Math.min(cell.width, cell.height) / 4));
+    return analysis.sampleColor(cell.x, cell.y, cell.width, cell.height, step);
+  }
+  
+  /**
+   * Word and color of one layout cell
+   * @param {Object} layer - text layer (see getTextLayers)
+   * @param {number} wordIndex - the word the layout put there
+   * @returns {{wordIndex: number, color: number[]|null}} color null = the word's own
+   */
+  resolveCell(analysis, layer, cell, wordIndex = cell.wordIndex) {
+    const sample = this.usesCellSamples() ? cell.sample || this.sampleCell(analysis, cell) : null;
+    
+    const bands = this.settings.wordMode === 'bands';
+    if (bands && sample) {
+      wordIndex = this.getBandIndex(sample.brightness, analysis, layer);
+    }
+    
+    // Several visitors: each written in their own words or color (not the background)
+    const person = layer.outside || this.settings.personMode === 'off'
+      ? null
+      : analysis.personAt(cell.x + cell.width / 2, cell.y + cell.height / 2);
+    if (person && this.settings.personMode === 'words') {
+      wordIndex = this.getPersonWordIndex(person, wordIndex, layer.words.length);
+    }
+    if (person && this.settings.personMode === 'colors') {
+      return { wordIndex, color: this.getPersonColor(person) };
+    }
+    
+    if (!sample) return { wordIndex, color: null };
+    
+    const word = layer.words[wordIndex];
+    if (!word) return { wordIndex, color: null };
+    
+    let color = resolveCellColor(word, sample, this.settings);
+    
+    // Bands line up with the acrylic panels: each word in its panel color
+    if (!color && bands) {
+      color = nearestColor(parseColor(word.color), this.settings.colorPalette);
+    }
+    
+    return { wordIndex, color };
   }
   
   /**
-   * Draw contour pixels
+   * A word from the person's subset: words slot, slot + groups, slot + 2 * groups...
+   * (person.slot is unique among the people in view, see silhouette-people.js)
    */
-  drawContour() {
-    // Save state
-    this.ctx.save();
+  getPersonWordIndex(person, wordIndex, count) {
+    const groups = Math.max(1, Math.min(this.settings.personGroups, count));
+    const slot = person.slot % groups;
+    const size = Math.ceil((count - slot) / groups);
+    return slot + (wordIndex % size) * groups;
+  }
+  
+  /**
+   * A person's color: the color of the first word in their subset
+   */
+  getPersonColor(person) {
+    const groups = Math.max(1, Math.min(this.settings.personGroups, this.words.length));
+    const word = this.words[person.slot % groups];
+    return word ? parseColor(word.color) : null;
+  }
+  
+  /**
+   * Brightness band of a cell = index of the word it shows
+   */
+  getBandIndex(brightness, analysis, layer) {
+    const count = layer.words.length;
+    return Math.max(0, Math.min(count - 1, Math.floor(this.getBrightnessLevel(brightness, analysis, layer.outside) * count)));
+  }
+  
+  /**
+   * Where a brightness sits in its layer's range (0 = darkest, 1 = brightest)
+   * With a global threshold that is the silhouette's own range (0 to
+   * threshold, or threshold to 255 when inverted) and the rest for the
+   * background; the adaptive and background strategies have no single
+   * cut-off, so they use 0-255.
+   */
+  getBrightnessLevel(brightness, analysis, outside = false) {
+    let low = 0;
+    let high = 255;
     
-    this.ctx.fillStyle = this.settings.contourColor;
+    if (this.settings.thresholdMode === 'fixed' || this.settings.thresholdMode === 'otsu') {
+      if (this.settings.invertColors !== outside) {
+        low = analysis.threshold;
+      } else {
+        high = analysis.threshold;
+      }
+    }
+    
+    return Math.max(0, Math.min(1, (brightness - low) / Math.max(1, high - low)));
+  }
+  
+  /**
+   * Per layout cell RGBA (layer.columns texels per row) for the WebGL backend:
+   * the cell color, and in alpha the word picked this frame + 1 (brightness
+   * bands, sequential layout, per-person words; 0 = the cell's own word)
+   * Cells outside the silhouette are filled too; the mask hides them.
+   */
+  computeCellColors(analysis, layer, cells) {
+    const columns = layer.columns;
+    const colors = new Uint8Array(columns * Math.max(1, Math.ceil(cells.length / columns)) * 4);
+    const bands = this.settings.wordMode === 'bands';
+    const sequential = this.settings.layout === 'sequential';
+    const pickedWord = bands || sequential || this.settings.personMode === 'words';
+    let sequence = 0;
     
-    for (let i = 0; i < this.edgePixels.length; i++) {
-      const edge = this.edgePixels[i];
+    cells.forEach((cell, index) => {
+      let layoutWord = cell.wordIndex;
+      if (sequential) {
+        // Same count as getVisibleCells: only cells the mask keeps
+        if (analysis.isInside(cell.x + cell.width / 2, cell.y + cell.height / 2) === layer.outside) return;
+        layoutWord = sequence++ % layer.words.length;
+      }
       
-      let screenX = edge.x;
-      let screenY = edge.y;
+      const { wordIndex, color } = this.resolveCell(analysis, layer, cell, layoutWord);
+      const word = layer.words[wordIndex];
+      if (!word) return;
+      const rgb = color || parseColor(word.color);
       
-      // Apply flip if needed
-      if (this.settings.flipVideo) {
-        screenX = this.displayWidth - screenX;
+      const i = index * 4;
+      colors[i] = rgb[0];
+      colors[i + 1] = rgb[1];
+      colors[i + 2] = rgb[2];
+      colors[i + 3] = pickedWord ? wordIndex + 1 : 0;
+    });
+    
+    return colors;
+  }
+  
+  /**
+   * Full text if it fits, otherwise truncated (uses the current ctx.font)
+   */
+  fitText(text, maxWidth) {
+    let cellText = text;
+    if (this.ctx.measureText(cellText).width > maxWidth) {
+      while (this.ctx.measureText(cellText).width > maxWidth && cellText.length > 1) {
+        cellText = cellText.substring(0, cellText.length - 1);
       }
+    }
+    return cellText;
+  }
+  
+  /**
+   * Compute animation transform for a cell (port of WORD SILHOUETTE applyAnimation)
+   * Uses the same speed scale so both implementations move in sync
+   */
+  applyAnimation(x, y, time) {
+    const speed = this.settings.animationSpeed / 1000;
+    const result = {
+      x: x,
+      y: y,
+      rotation: 0,
+      scale: 1,
+      opacity: 255
+    };
+    
+    switch (this.settings.animationType) {
+      case 'wave':
+        result.y += Math.sin(time * speed * 2 + x / 100) * 10;
+        break;
+      
+      case 'pulse':
+        result.scale = 0.9 + 0.2 * Math.sin(time * speed * 3);
+        break;
+      
+      case 'rotate':
+        result.rotation = Math.sin(time * speed + x / 200) * 0.1;
+        break;
+      
+      case 'bounce':
+        result.y += Math.abs(Math.sin(time * speed * 2 + x / 150)) * -15;
+        break;
+      
+      case 'flicker':
+        result.opacity = 128 + 127 * Math.sin(time * speed * 5 + x / 50);
+        break;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Detect silhouette contour edges (computed by the shared analyzer)
+   */
+  detectSilhouetteContour(analysis) {
+    this.edgePixels = analysis.edges;
+    this.contourPaths = analysis.contours;
+  }
+  
+  /**
+   * Draw the contour in the current contourStyle
+   */
+  drawContour() {
+    // Save state
+    this.ctx.save();
+    
+    switch (this.settings.contourStyle) {
+      case 'lines':
+        this.drawContourLines();
+        break;
       
-      // Draw pixel square
-      this.ctx.fillRect(screenX, screenY, this.settings.pixelSize, this.settings.pixelSize);
+      case 'text':
+        this.drawContourText();
+        break;
+      
+      default:
+        this.ctx.fillStyle = this.settings.contourColor;
+        
+        for (let i = 0; i < this.edgePixels.length; i++) {
+          const edge = this.edgePixels[i];
+          
+          // Edges are already in display orientation
+          this.ctx.fillRect(edge.x, edge.y, this.settings.pixelSize, this.settings.pixelSize);
+        }
     }
     
     // Restore state
     this.ctx.restore();
   }
   
+  /**
+   * Stroke the traced outline (pixelSize = line width)
+   */
+  drawContourLines() {
+    this.ctx.strokeStyle = this.settings.contourColor;
+    this.ctx.lineWidth = this.settings.pixelSize;
+    this.ctx.lineJoin = 'round';
+    this.ctx.beginPath();
+    
+    for (const ring of this.contourPaths) {
+      this.ctx.moveTo(ring[0].x, ring[0].y);
+      for (let i = 1; i < ring.length; i++) {
+        this.ctx.lineTo(ring[i].x, ring[i].y);
+      }
+      this.ctx.closePath();
+    }
+    
+    this.ctx.stroke();
+  }
+  
+  /**
+   * Width of one glyph, cached (text on the outline measures every character)
+   */
+  measureGlyph(text, font) {
+    const key = `${font}|${text}`;
+    let width = this.glyphWidths.get(key);
+    if (width === undefined) {
+      this.ctx.font = font;
+      width = this.ctx.measureText(text).width;
+      this.glyphWidths.set(key, width);
+    }
+    return width;
+  }
+  
+  /**
+   * Glyphs of the words along each traced ring, starting `offset` pixels along it
+   */
+  getContourGlyphs(offset = this.contourTextOffset) {
+    const measure = (text, font) => this.measureGlyph(text, font);
+    return this.contourPaths.map(ring => layoutTextOnRing(ring, this.words, measure, offset));
+  }
+  
+  /**
+   * Flow the words along the traced outline, standing on it
+   */
+  drawContourText() {
+    this.contourTextOffset = performance.now() * 0.001 * this.settings.contourTextSpeed;
+    
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'alphabetic';
+    
+    for (const glyphs of this.getContourGlyphs()) {
+      for (const glyph of glyphs) {
+        if (glyph.text === ' ') continue;
+        
+        const word = this.words[glyph.wordIndex];
+        const cos = Math.cos(glyph.angle);
+        const sin = Math.sin(glyph.angle);
+        this.ctx.setTransform(cos, sin, -sin, cos, glyph.x, glyph.y);
+        this.ctx.font = `${word.size}px ${word.font}`;
+        this.ctx.fillStyle = word.color;
+        this.ctx.fillText(glyph.text, 0, 0);
+      }
+    }
+    
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+  
+  /**
+   * Trail settings as silhouette-trails.js options
+   */
+  getTrailOptions() {
+    return {
+      mode: this.settings.trailMode,
+      decay: this.settings.trailDecay,
+      frames: this.settings.trailFrames,
+      exposure: this.settings.trailExposure,
+      step: Math.max(4, Math.round(this.canvas.width / 240))
+    };
+  }
+  
+  /**
+   * Earlier masks as a ghost silhouette in the contour color
+   */
+  drawAfterimage(analysis) {
+    this.maskTrail.update(analysis.mask, analysis.width, analysis.height, this.getTrailOptions());
+    this.maskTrail.draw(
+      this.ctx,
+      parseColor(this.settings.contourColor),
+      this.settings.trailOpacity,
+      getTrailBlend(this.settings.trailBlend, this.settings.invertColors)
+    );
+  }
+  
+  /**
+   * Earlier frames (half resolution snapshots) over this one, older ones fainter
+   */
+  drawFrameTrail() {
+    const options = this.getTrailOptions();
+    const kept = this.frameTrail.capture(options, recycled => snapshotCanvas(this.canvas, recycled));
+    const entries = this.frameTrail.entries(options);
+    if (kept) entries.pop();   // This frame itself
+    
+    this.ctx.save();
+    this.ctx.globalCompositeOperation = getTrailBlend(this.settings.trailBlend, this.settings.invertColors);
+    for (const { frame, fade } of entries) {
+      this.ctx.globalAlpha = fade * this.settings.trailOpacity;
+      this.ctx.drawImage(frame, 0, 0, this.canvas.width, this.canvas.height);
+    }
+    this.ctx.restore();
+  }
+  
+  /**
+   * Mark the input as a replay of earlier visitors (attract mode): 'background'
+   * thresholding falls back to 'fixed' meanwhile, so the learned empty room is
+   * neither replaced nor adapted to the replay and still holds at the hand-back
+   */
+  setReplaying(replaying) {
+    this.replaying = replaying;
+  }
+  
+  /**
+   * Show a line of text over the silhouette, null to hide it
+   */
+  setPrompt(text) {
+    this.prompt = text || null;
+  }
+  
+  /**
+   * Pulsing prompt near the bottom of the frame
+   */
+  drawPrompt() {
+    if (!this.prompt) return;
+    
+    const { width, height } = this.canvas;
+    const size = Math.round(Math.min(width, height) / 12);
+    
+    this.ctx.save();
+    this.ctx.font = `bold ${size}px monospace`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.globalAlpha = 0.6 + 0.4 * Math.sin(performance.now() * 0.004);
+    this.ctx.fillStyle = this.settings.invertColors ? '#000000' : '#FFFFFF';
+    this.ctx.fillText(this.prompt, width / 2, height - size * 1.5);
+    this.ctx.restore();
+  }
+  
   /**
    * Apply glitch effects to canvas
    */
@@ -727,9 +1613,27 @@ export class WebcamTextRenderer {
       case 'blockshift':
         this.applyBlockShift(pixels, width, height, intensity);
         break;
+      case 'pixelation':
+        this.applyPixelation(pixels, width, height, intensity);
+        break;
+      case 'wavydistortion':
+        this.applyWavyDistortion(pixels, width, height, intensity, timeFactor);
+        break;
+      case 'vhstracking':
+        this.applyVHSTracking(pixels, width, height, intensity, timeFactor);
+        break;
+      case 'ghosting':
+        this.applyGhosting(pixels, width, height, intensity);
+        break;
       case 'digitaldropout':
         this.applyDigitalDropout(pixels, width, height, intensity);
         break;
+      case 'combined':
+        this.applyScanLines(pixels, width, height, intensity * 0.5, timeFactor);
+        this.applyRGBShift(pixels, width, height, intensity * 0.3, timeFactor);
+        this.applyNoise(pixels, width, height, intensity * 0.2);
+        this.applyBlockShift(pixels, width, height, intensity * 0.4);
+        break;
       default:
         break;
     }
@@ -834,6 +1738,134 @@ export class WebcamTextRenderer {
     }
   }
   
+  applyPixelation(pixels, width, height, intensity) {
+    const numRegions = Math.floor(3 * intensity);
+    
+    for (let i = 0; i < numRegions; i++) {
+      const regionX = Math.floor(Math.random() * width * 0.8);
+      const regionY = Math.floor(Math.random() * height * 0.8);
+      const regionW = Math.floor((Math.random() * (200 - 50) + 50) * intensity);
+      const regionH = Math.floor((Math.random() * (200 - 50) + 50) * intensity);
+      const pixelFactor = Math.max(1, Math.floor((Math.random() * (15 - 5) + 5) * intensity));
+      
+      if (regionX + regionW >= width || regionY + regionH >= height) continue;
+      
+      for (let y = regionY; y < regionY + regionH; y += pixelFactor) {
+        for (let x = regionX; x < regionX + regionW; x += pixelFactor) {
+          const srcIdx = (y * width + x) * 4;
+          if (srcIdx >= pixels.length - 4) continue;
+          
+          const r = pixels[srcIdx];
+          const g = pixels[srcIdx + 1];
+          const b = pixels[srcIdx + 2];
+          
+          // Fill the block with the sampled color
+          for (let py = 0; py < pixelFactor && y + py < regionY + regionH; py++) {
+            for (let px = 0; px < pixelFactor && x + px < regionX + regionW; px++) {
+              const destIdx = ((y + py) * width + (x + px)) * 4;
+              if (destIdx < pixels.length - 4) {
+                pixels[destIdx] = r;
+                pixels[destIdx + 1] = g;
+                pixels[destIdx + 2] = b;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  applyWavyDistortion(pixels, width, height, intensity, timeFactor) {
+    const origPixels = new Uint8ClampedArray(pixels);
+    
+    for (let y = 0; y < height; y++) {
+      const waveX = Math.sin(y * 0.05 + timeFactor * 3) * 15 * intensity;
+      const waveY = Math.cos(y * 0.03 + timeFactor * 2) * Math.sin(timeFactor * 0.5) * 10 * intensity;
+      
+      for (let x = 0; x < width; x++) {
+        const srcX = Math.max(0, Math.min(width - 1, Math.floor(x + waveX * Math.sin(x * 0.01 + timeFactor))));
+        const srcY = Math.max(0, Math.min(height - 1, Math.floor(y + waveY)));
+        
+        const srcIdx = (srcY * width + srcX) * 4;
+        const destIdx = (y * width + x) * 4;
+        
+        if (srcIdx < origPixels.length - 4 && destIdx < pixels.length - 4) {
+          pixels[destIdx] = origPixels[srcIdx];
+          pixels[destIdx + 1] = origPixels[srcIdx + 1];
+          pixels[destIdx + 2] = origPixels[srcIdx + 2];
+        }
+      }
+    }
+  }
+  
+  applyVHSTracking(pixels, width, height, intensity, timeFactor) {
+    const numBands = Math.floor(5 * intensity);
+    
+    for (let i = 0; i < numBands; i++) {
+      // Tracking error band that drifts vertically
+      const bandHeight = Math.floor(Math.random() * (15 - 3) + 3);
+      const bandY = Math.floor((Math.sin(timeFactor * (Math.random() * 2 + 1) + i) * 0.5 + 0.5) * height);
+      const offsetX = Math.sin(timeFactor * 2 + i) * 30 * intensity;
+      
+      if (bandY < 0 || bandY + bandHeight >= height) continue;
+      
+      for (let y = bandY; y < bandY + bandHeight; y++) {
+        for (let x = 0; x < width; x++) {
+          const srcX = Math.max(0, Math.min(width - 1, Math.floor(x + offsetX)));
+          const idx = (y * width + srcX) * 4;
+          const destIdx = (y * width + x) * 4;
+          
+          if (idx < pixels.length - 4 && destIdx < pixels.length - 4) {
+            // Shift horizontally and add noise
+            pixels[destIdx] = Math.min(255, pixels[idx] + (Math.random() * 40 - 20) * intensity);
+            pixels[destIdx + 1] = Math.min(255, pixels[idx + 1] + (Math.random() * 40 - 20) * intensity);
+            pixels[destIdx + 2] = Math.min(255, pixels[idx + 2] + (Math.random() * 40 - 20) * intensity);
+          }
+        }
+        
+        // Fully corrupted scan line inside the band
+        if (Math.random() < 0.3 * intensity) {
+          for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            if (idx < pixels.length - 4) {
+              pixels[idx] = Math.random() * 255;
+              pixels[idx + 1] = Math.random() * 255;
+              pixels[idx + 2] = Math.random() * 255;
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  applyGhosting(pixels, width, height, intensity) {
+    const origPixels = new Uint8ClampedArray(pixels);
+    const numGhosts = Math.floor(3 * intensity);
+    
+    for (let i = 0; i < numGhosts; i++) {
+      const offsetX = Math.floor((Math.random() * 40 - 20) * intensity);
+      const offsetY = Math.floor((Math.random() * 40 - 20) * intensity);
+      const ghostOpacity = 0.2 + 0.3 * Math.random();
+      
+      for (let y = 0; y < height; y++) {
+        const srcY = Math.max(0, Math.min(height - 1, y + offsetY));
+        
+        for (let x = 0; x < width; x++) {
+          const srcX = Math.max(0, Math.min(width - 1, x + offsetX));
+          const srcIdx = (srcY * width + srcX) * 4;
+          const destIdx = (y * width + x) * 4;
+          
+          if (srcIdx < origPixels.length - 4 && destIdx < pixels.length - 4) {
+            // Blend the offset copy over the current pixels
+            pixels[destIdx] += (origPixels[srcIdx] - pixels[destIdx]) * ghostOpacity;
+            pixels[destIdx + 1] += (origPixels[srcIdx + 1] - pixels[destIdx + 1]) * ghostOpacity;
+            pixels[destIdx + 2] += (origPixels[srcIdx + 2] - pixels[destIdx + 2]) * ghostOpacity;
+          }
+        }
+      }
+    }
+  }
+  
   applyDigitalDropout(pixels, width, height, intensity) {
     const numDropouts = Math.floor(5 * intensity);
     
@@ -881,20 +1913,199 @@ export class WebcamTextRenderer {
     return this.canvas;
   }
   
+  /**
+   * Recorder for the output canvas
+   */
+  getRecorder() {
+    if (!this.recorder) {
+      this.recorder = new SilhouetteRecorder(this.canvas, { filenamePrefix: 'word-silhouette' });
+    }
+    return this.recorder;
+  }
+  
+  /**
+   * Record the output to WebM (downloads when it stops)
+   * @param {Object} options - { countdown, duration } in seconds, see SilhouetteRecorder.start
+   * @returns {Promise<Blob|null>} resolves when the recording stops
+   */
+  startRecording(options = {}) {
+    return this.getRecorder().start(options);
+  }
+  
+  stopRecording() {
+    return this.getRecorder().stop();
+  }
+  
+  toggleRecording(options = {}) {
+    return this.getRecorder().toggle(options);
+  }
+  
+  isRecording() {
+    return !!this.recorder && this.recorder.isRecording();
+  }
+  
+  /**
+   * Download the current frame as a lossless PNG
+   */
+  takeSnapshot() {
+    return this.getRecorder().snapshot();
+  }
+  
+  /**
+   * Snapshot of the current silhouette for export (no animation or glitch)
+   * Words are refitted with the same truncation as drawTextGrid; ascent is
+   * the baseline offset from the cell top so SVG and canvas text line up.
+   * Background words (negative space) follow the silhouette's in frame.words.
+   * The contour is the traced outline (frame.contours); with contourStyle
+   * 'text' each ring also carries its glyphs and word runs.
+   * @returns {Object|null} null before the first analyzed frame
+   */
+  buildExportFrame() {
+    if (!this.analyzer.mask) return null;
+    
+    const cellPadding = WebcamTextRenderer.CELL_PADDING;
+    const cells = [];
+    
+    this.ctx.save();
+    for (const cell of this.getVisibleCells(this.analyzer)) {
+      const word = cell.word;
+      this.ctx.font = `${word.size}px ${word.font}`;
+      
+      const text = this.fitText(word.text, cell.width - cellPadding * 2);
+      if (text.length === 0) continue;
+      
+      const metrics = this.ctx.measureText(text);
+      const exportCell = {
+        x: cell.x + cellPadding,
+        y: cell.y + cellPadding,
+        ascent: metrics.fontBoundingBoxAscent || word.size * 0.8,
+        wordIndex: cell.outside ? this.words.length + cell.wordIndex : cell.wordIndex,
+        color: cell.color,
+        text
+      };
+      
+      // Turned or scaled layouts: text placed relative to the cell center
+      if (cell.rotation !== 0 || cell.scale !== 1) {
+        exportCell.x = -cell.width / 2 + cellPadding;
+        exportCell.y = -cell.height / 2 + cellPadding;
+        exportCell.transform = {
+          x: cell.x + cell.width / 2,
+          y: cell.y + cell.height / 2,
+          rotation: cell.rotation,
+          scale: cell.scale
+        };
+      }
+      
+      cells.push(exportCell);
+    }
+    
+    // Words on the outline, from the start of each ring (not flowing) so SVG <textPath> matches
+    const contourGlyphs = this.settings.showContour && this.settings.contourStyle === 'text'
+      ? this.getContourGlyphs(0)
+      : [];
+    this.ctx.restore();
+    
+    return {
+      width: this.canvas.width,
+      height: this.canvas.height,
+      background: this.settings.invertColors ? '#FFFFFF' : '#000000',
+      contourColor: this.settings.contourColor,
+      pixelSize: this.settings.pixelSize,
+      edges: this.settings.showContour && this.settings.contourStyle === 'pixels' ? this.edgePixels.slice() : [],
+      contourStyle: this.settings.contourStyle,
+      contours: this.settings.showContour ? this.contourPaths.map(ring => ring.map(point => ({ x: point.x, y: point.y }))) : [],
+      contourGlyphs,
+      contourText: contourGlyphs.map(glyphRuns),
+      words: this.settings.negativeSpace ? [...this.words, ...this.outsideWords] : this.words,
+      cells
+    };
+  }
+  
+  /**
+   * Export frame from whichever side rendered the last frame
+   * (the worker holds the analysis while it is running)
+   * @returns {Promise<Object|null>}
+   */
+  getExportFrame() {
+    if (!this.worker) {
+      return Promise.resolve(this.buildExportFrame());
+    }
+    
+    const id = ++this.exportRequestId;
+    return new Promise(resolve => {
+      this.exportRequests.set(id, resolve);
+      this.worker.postMessage({ type: 'exportFrame', id });
+    });
+  }
+  
+  resolveExportRequest(id, frame) {
+    const resolve = this.exportRequests.get(id);
+    if (resolve) {
+      this.exportRequests.delete(id);
+      resolve(frame);
+    }
+  }
+  
+  /**
+   * Download the current silhouette as an SVG (real <text> per word + contour)
+   * @returns {Promise<Blob|null>}
+   */
+  async exportSVG(download = true) {
+    const frame = await this.getExportFrame();
+    if (!frame) {
+      console.warn('⚠️ Nothing to export yet');
+      return null;
+    }
+    
+    const blob = new Blob([createSVG(frame)], { type: 'image/svg+xml' });
+    if (download) {
+      downloadBlob(blob, `word-silhouette_${timestamp()}.svg`);
+    }
+    console.log(`📐 SVG exported: ${frame.cells.length} words`);
+    return blob;
+  }
+  
+  /**
+   * Download the current silhouette as a high-DPI PNG for print
+   * @param {Object} options - { size: 'A3', widthMm, heightMm, landscape, dpi: 300, tileSize }
+   * @returns {Promise<Blob|null>}
+   */
+  async exportPrint(options = {}) {
+    const frame = await this.getExportFrame();
+    if (!frame) {
+      console.warn('⚠️ Nothing to export yet');
+      return null;
+    }
+    
+    try {
+      const blob = await renderPrintPNG(frame, options);
+      if (options.download !== false) {
+        downloadBlob(blob, `word-silhouette_${options.size || 'A3'}_${timestamp()}.png`);
+      }
+      return blob;
+    } catch (error) {
+      console.error('❌ Print export failed:', error.message);
+      return null;
+    }
+  }
+  
   /**
    * Cleanup resources
    */
   dispose() {
-    // Stop keep-alive interval
-    if (this.videoKeepAliveInterval) {
-      clearInterval(this.videoKeepAliveInterval);
-      this.videoKeepAliveInterval = null;
+    if (this.recorder) {
+      this.recorder.stop();
     }
     
-    // Stop all tracks
-    if (this.currentStream) {
-      this.currentStream.getTracks().forEach(track => track.stop());
+    this.source = null;
+    this.disableWorker();
+    this.disposeGlyphBackends();
+    
+    // Leave the shared stream (closed once the last consumer is gone)
+    if (this.camera) {
+      this.camera.release(this);
     }
+    this.isInitialized = false;
   }
 }
 